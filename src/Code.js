@@ -18,6 +18,14 @@ const APP_CONFIG = {
   enablePerformanceMonitoring: true
 };
 
+/**
+ * Dataset change detection: Script Properties keys and digest schedule
+ */
+const DATASET_VERSION_KEY = 'DATASET_VERSION';
+const DATASET_DIGEST_KEY = 'DATASET_DIGEST';
+const DATASET_DIGEST_CHUNK_ROWS = 1000;
+const DATASET_DIGEST_INTERVAL_MINUTES = 10;
+
 /**
  * Global application state
  */
@@ -39,10 +47,82 @@ let appState = {
     timelineTracker: null,
     exportService: null,
     accessController: null,
-    securityAuditor: null
+    securityAuditor: null,
+    columnMappingService: null,
+    cachingService: null,
+    savedViewService: null,
+    contractDetailService: null,
+    burnRateForecaster: null
   }
 };
 
+/**
+ * Service constructors keyed by appState.services slot
+ */
+const SERVICE_FACTORIES = {
+  dataService: () => new DataService(),
+  financialAnalyzer: () => new FinancialAnalyzer(),
+  personnelManager: () => new PersonnelManager(),
+  timelineTracker: () => new Timeline_Tracker(),
+  exportService: () => new ExportService(),
+  accessController: () => new AccessController(),
+  securityAuditor: () => new SecurityAuditor(),
+  columnMappingService: () => new ColumnMappingService(),
+  cachingService: () => new CachingService(),
+  savedViewService: () => new SavedViewService(),
+  contractDetailService: () => new ContractDetailService(),
+  burnRateForecaster: () => new BurnRateForecaster()
+};
+
+/**
+ * Get a service instance, creating it on first use
+ * Each google.script.run call starts a fresh runtime where initializeApplication
+ * has not run, so endpoints must not rely on appState.services being populated
+ * @param {string} name - Service slot name (e.g. 'exportService')
+ * @returns {Object} Service instance
+ */
+function getService(name) {
+  if (!appState.services[name]) {
+    const factory = SERVICE_FACTORIES[name];
+    if (!factory) {
+      throw new Error('Unknown service: ' + name);
+    }
+    appState.services[name] = factory();
+  }
+  return appState.services[name];
+}
+
+/**
+ * Throw unless the signed-in user's role grants a permission
+ * Goes through getService so the check runs in every google.script.run call,
+ * where appState.services starts out empty
+ * @param {string} permission - Permission value (e.g. Permission.EXPORT_DATA)
+ * @param {string} message - Error message when the permission is missing
+ * @returns {string} Email of the signed-in user
+ */
+function requirePermission(permission, message) {
+  const email = Session.getActiveUser().getEmail();
+  if (!email) {
+    throw new Error('User authentication required');
+  }
+  const accessController = getService('accessController');
+  if (!accessController.hasPermission(accessController.determineUserRole(email), permission)) {
+    throw new Error(message);
+  }
+  return email;
+}
+
+/**
+ * Persist the cache stats counted during this execution
+ * Endpoints that read or write the cache call this on the way out; it does
+ * nothing when the caching service was not used
+ */
+function flushCacheStats() {
+  if (appState.services.cachingService) {
+    appState.services.cachingService.flushStats();
+  }
+}
+
 /**
  * Initialize application services and perform startup checks
  */
@@ -260,6 +340,8 @@ function setupPeriodicMaintenance() {
       .timeBased()
       .everyDays(1)
       .create();
+
+    installDatasetChangeTriggers();
     
     console.log('Periodic maintenance triggers set up successfully');
     
@@ -270,12 +352,20 @@ function setupPeriodicMaintenance() {
 
 /**
  * Serve the main dashboard HTML page with enhanced error handling
+ * URL parameters (filters, sort, page, open contract) are handed to the
+ * client so a shared link reopens the same dashboard state, along with the
+ * signed-in user's email for the "my contracts" filter
+ * @param {Object} e - Web app request event
  * @returns {HtmlOutput} HTML page for the dashboard
  */
 function doGet(e) {
   try {
     // Create and configure HTML output
     const template = HtmlService.createTemplateFromFile('dashboard');
+    // Escape '<' so a parameter value cannot close the inline script tag
+    template.urlParameters = JSON.stringify((e && e.parameters) || {}).replace(/</g, '\\u003c');
+    // Lets the client pick out "my contracts" by the PM/CO/CS email columns
+    template.userEmail = JSON.stringify(Session.getActiveUser().getEmail() || '').replace(/</g, '\\u003c');
     
     const htmlOutput = template.evaluate()
       .setTitle('Contract Management Dashboard')
@@ -361,12 +451,13 @@ function include(filename) {
  */
 function getContractInfo() {
   try {
-    var sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('AL_Extract');
-    if (!sheet) return { success: false, error: 'AL_Extract sheet not found' };
-    var lastRow = sheet.getLastRow();
-    // Row 1 = numbers, Row 2 = headers, Row 3+ = data
-    var dataRows = Math.max(0, lastRow - 2);
-    return { success: true, totalRows: dataRows };
+    var context = getContractSheetContext();
+    return {
+      success: true,
+      totalRows: context.dataRowCount,
+      columns: context.loadKeys,
+      missingColumns: context.missing
+    };
   } catch (e) {
     return { success: false, error: e.message };
   }
@@ -383,88 +474,48 @@ function getContractPage(page, pageSize) {
     page = page || 0;
     pageSize = pageSize || 500;
     
-    var cacheKey = 'cp_' + page + '_' + pageSize;
-    var cache = CacheService.getScriptCache();
-    var cached = cache.get(cacheKey);
+    // Pages are keyed by dataset hash so they expire with the bulk cache
+    var caching = getService('cachingService');
+    var pageName = page + '_' + pageSize;
+    var cacheOptions = { version: getDatasetHash() };
+    var cached = caching.get('page', pageName, cacheOptions);
     if (cached) {
-      return JSON.parse(cached);
+      return cached;
     }
     
-    var sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('AL_Extract');
-    if (!sheet) return { success: false, error: 'AL_Extract sheet not found' };
-    
-    var lastRow = sheet.getLastRow();
-    var lastCol = sheet.getLastColumn();
-    var totalDataRows = Math.max(0, lastRow - 2);
-    var totalPages = Math.ceil(totalDataRows / pageSize);
+    var context = getContractSheetContext();
+    var totalPages = Math.ceil(context.dataRowCount / pageSize);
     
     if (page >= totalPages) {
       return { success: true, data: [], page: page, totalPages: totalPages };
     }
     
-    // Read headers from row 2
-    var headers = sheet.getRange(2, 1, 1, lastCol).getValues()[0];
-    
-    // Essential columns only
-    var want = [
-      'AWARD_STATUS', 'APEXNAME', 'EMP_ORG_SHORT_NAME',
-      'AWARD_TITLE', 'AWARD', 'PROJECT', 'CONTRACT_TYPE',
-      'CEILING', 'PM', 'CO', 'CS', 'PROJECT_TITLE',
-      'PROJECT_START', 'PROJECT_END', 'Client_Bureau',
-      'client_organization', 'FLAGS', 'Mod_Status', 'IGE'
-    ];
-    
-    var colMap = {};
-    for (var j = 0; j < headers.length; j++) {
-      var h = String(headers[j]).trim();
-      if (want.indexOf(h) !== -1) {
-        colMap[h] = j;
-      }
-    }
-    
-    // Calculate which rows to read (data starts at row 3)
-    var startRow = 3 + (page * pageSize);
-    var numRows = Math.min(pageSize, lastRow - startRow + 1);
+    var startRow = context.mapping.dataStartRow + (page * pageSize);
+    var numRows = Math.min(pageSize, context.lastRow - startRow + 1);
     
     if (numRows <= 0) {
       return { success: true, data: [], page: page, totalPages: totalPages };
     }
     
-    var values = sheet.getRange(startRow, 1, numRows, lastCol).getValues();
-    var tz = Session.getScriptTimeZone();
+    var values = context.sheet.getRange(startRow, 1, numRows, context.lastCol).getValues();
     var data = [];
     
     for (var i = 0; i < values.length; i++) {
-      var row = values[i];
-      if (!row[1] && !row[2]) continue;
-      
-      var contract = {};
-      for (var colName in colMap) {
-        var val = row[colMap[colName]];
-        if (val instanceof Date) {
-          contract[colName] = Utilities.formatDate(val, tz, 'yyyy-MM-dd');
-        } else if (val === '' || val === null || val === undefined) {
-          contract[colName] = '';
-        } else {
-          contract[colName] = val;
-        }
-      }
-      data.push(contract);
+      if (isEmptyContractRow(values[i], context)) continue;
+      data.push(rowToContractRecord(values[i], context));
     }
     
     var result = { success: true, data: data, page: page, totalPages: totalPages };
     
-    // Cache this page (each page ~500 rows should be well under 100KB)
-    try {
-      cache.put(cacheKey, JSON.stringify(result), 300);
-    } catch (ce) {
-      // Cache failure is non-fatal
-    }
+    // Cache failure is non-fatal
+    caching.set('page', pageName, result, cacheOptions);
     
     return result;
     
   } catch (error) {
     return { success: false, error: error.message, page: page };
+  } finally {
+    flushCacheStats();
   }
 }
 
@@ -473,39 +524,280 @@ function getContractPage(page, pageSize) {
  */
 function getContractDataTest() {
   try {
-    var sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('AL_Extract');
-    if (!sheet) return { success: false, error: 'AL_Extract sheet not found' };
+    var context = getContractSheetContext();
+    var numRows = Math.min(5, context.dataRowCount);
+    var rows = numRows > 0
+      ? context.sheet.getRange(context.mapping.dataStartRow, 1, numRows, context.lastCol).getValues()
+      : [];
     
-    var lastCol = sheet.getLastColumn();
-    var headers = sheet.getRange(2, 1, 1, lastCol).getValues()[0];
-    var rows = sheet.getRange(3, 1, 5, lastCol).getValues();
-    var tz = Session.getScriptTimeZone();
-    
-    var want = ['AWARD_STATUS', 'AWARD', 'PROJECT', 'CEILING', 'PROJECT_TITLE',
-                'PROJECT_START', 'PROJECT_END', 'Client_Bureau', 'CONTRACT_TYPE', 'IGE'];
-    var colMap = {};
-    for (var j = 0; j < headers.length; j++) {
-      var h = String(headers[j]).trim();
-      if (want.indexOf(h) !== -1) colMap[h] = j;
+    var data = rows.map(function(row) { return rowToContractRecord(row, context); });
+    
+    return {
+      success: true,
+      count: data.length,
+      data: data,
+      columns: context.loadKeys,
+      missingColumns: context.missing
+    };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+}
+
+// ============================================================================
+// COLUMN MAPPING
+// ============================================================================
+
+/**
+ * Open the contract sheet and resolve the configured column mapping against
+ * its header row. Shared by every loader so sheet name, header/data rows and
+ * the loaded column list come from one place.
+ * @returns {Object} { sheet, mapping, lastRow, lastCol, columnIndex, missing, loadKeys, dataRowCount, timeZone }
+ * @throws {Error} When the configured sheet does not exist
+ */
+function getContractSheetContext() {
+  var mappingService = getService('columnMappingService');
+  var mapping = mappingService.getMapping();
+  var sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(mapping.sheetName);
+  if (!sheet) throw new Error(mapping.sheetName + ' sheet not found');
+  
+  var lastRow = sheet.getLastRow();
+  var lastCol = sheet.getLastColumn();
+  var headers = lastCol > 0 ? sheet.getRange(mapping.headerRow, 1, 1, lastCol).getValues()[0] : [];
+  var resolved = mappingService.resolveColumns(headers, mapping);
+  
+  return {
+    sheet: sheet,
+    mapping: mapping,
+    lastRow: lastRow,
+    lastCol: lastCol,
+    headers: headers,
+    columnIndex: resolved.columnIndex,
+    missing: resolved.missing,
+    unmappedHeaders: resolved.unmappedHeaders,
+    loadKeys: mappingService.getLoadedKeys(mapping).filter(function(key) {
+      return resolved.columnIndex[key] !== undefined;
+    }),
+    dataRowCount: Math.max(0, lastRow - mapping.dataStartRow + 1),
+    timeZone: Session.getScriptTimeZone()
+  };
+}
+
+/**
+ * Whether a sheet row is blank in every configured emptyRowKeys column
+ * @param {Array} row - Raw sheet row
+ * @param {Object} context - Sheet context from getContractSheetContext()
+ * @returns {boolean} True if the row should be skipped
+ */
+function isEmptyContractRow(row, context) {
+  var keys = context.mapping.emptyRowKeys || [];
+  var checked = 0;
+  for (var i = 0; i < keys.length; i++) {
+    var index = context.columnIndex[keys[i]];
+    if (index === undefined) continue;
+    checked++;
+    if (row[index] !== '' && row[index] !== null && row[index] !== undefined) return false;
+  }
+  return checked > 0;
+}
+
+/**
+ * Convert a raw sheet row into a keyed record for the client
+ * @param {Array} row - Raw sheet row
+ * @param {Object} context - Sheet context from getContractSheetContext()
+ * @param {string[]} [keys] - Column keys to include (defaults to loaded columns)
+ * @returns {Object} Record keyed by mapping column key
+ */
+function rowToContractRecord(row, context, keys) {
+  keys = keys || context.loadKeys;
+  var record = {};
+  for (var i = 0; i < keys.length; i++) {
+    var index = context.columnIndex[keys[i]];
+    var val = index === undefined ? '' : row[index];
+    if (val instanceof Date) {
+      record[keys[i]] = Utilities.formatDate(val, context.timeZone, 'yyyy-MM-dd');
+    } else if (val === '' || val === null || val === undefined) {
+      record[keys[i]] = '';
+    } else {
+      record[keys[i]] = val;
+    }
+  }
+  return record;
+}
+
+/**
+ * Normalize contracts to ContractData if they are raw-key records
+ * Records already carrying camelCase fields (e.g. from DataService) pass through
+ * @param {Object[]} contracts - Raw-key records or ContractData
+ * @returns {ContractData[]} Normalized contracts
+ */
+function getNormalizedContracts(contracts) {
+  var needsNormalizing = contracts.some(function(contract) {
+    return contract && contract.award === undefined && contract.AWARD !== undefined;
+  });
+  return needsNormalizing ? getService('dataService').normalizeRecords(contracts) : contracts;
+}
+
+/**
+ * API endpoint to inspect the active column mapping and how it resolves
+ * against the current sheet headers
+ * @returns {Object} Mapping, its source and resolution details
+ */
+function getColumnMapping() {
+  try {
+    var mappingService = getService('columnMappingService');
+    var result = {
+      success: true,
+      mapping: mappingService.getMapping(),
+      source: mappingService.getSource(),
+      timestamp: new Date().toISOString()
+    };
+    
+    try {
+      var context = getContractSheetContext();
+      result.loadedColumns = context.loadKeys;
+      result.missingColumns = context.missing;
+      result.unmappedHeaders = context.unmappedHeaders;
+    } catch (sheetError) {
+      result.sheetError = sheetError.message;
     }
     
-    var data = [];
-    for (var i = 0; i < rows.length; i++) {
-      var contract = {};
-      for (var colName in colMap) {
-        var val = rows[i][colMap[colName]];
-        if (val instanceof Date) {
-          contract[colName] = Utilities.formatDate(val, tz, 'yyyy-MM-dd');
-        } else {
-          contract[colName] = (val === '' || val === null || val === undefined) ? '' : val;
-        }
-      }
-      data.push(contract);
+    return result;
+  } catch (e) {
+    console.error('Error getting column mapping:', e);
+    return { success: false, error: e.message, timestamp: new Date().toISOString() };
+  }
+}
+
+/**
+ * API endpoint to store a column mapping override in Script Properties
+ * @param {ColumnMapping} mapping - Mapping to store
+ * @returns {Object} Save result with validation details
+ */
+function saveColumnMapping(mapping) {
+  try {
+    requirePermission(Permission.SYSTEM_ADMIN, 'Administrative privileges required to change the column mapping');
+
+    // The hash includes the mapping, so take it before the mapping changes
+    var previousHash = getDatasetHash();
+    var validation = getService('columnMappingService').saveMapping(mapping);
+    if (!validation.isValid) {
+      return { success: false, error: 'Invalid column mapping', errors: validation.errors, timestamp: new Date().toISOString() };
     }
     
-    return { success: true, count: data.length, data: data, columns: Object.keys(colMap) };
+    invalidateCache(previousHash);
+    return { success: true, warnings: validation.warnings, timestamp: new Date().toISOString() };
   } catch (e) {
-    return { success: false, error: e.message };
+    console.error('Error saving column mapping:', e);
+    return { success: false, error: e.message, timestamp: new Date().toISOString() };
+  }
+}
+
+/**
+ * API endpoint to drop the Script Properties override and fall back to the
+ * config sheet or built-in defaults
+ * @returns {Object} Reset result
+ */
+function resetColumnMapping() {
+  try {
+    requirePermission(Permission.SYSTEM_ADMIN, 'Administrative privileges required to change the column mapping');
+
+    var previousHash = getDatasetHash();
+    getService('columnMappingService').resetMapping();
+    invalidateCache(previousHash);
+    return { success: true, timestamp: new Date().toISOString() };
+  } catch (e) {
+    console.error('Error resetting column mapping:', e);
+    return { success: false, error: e.message, timestamp: new Date().toISOString() };
+  }
+}
+
+// ============================================================================
+// SAVED FILTER VIEWS
+// ============================================================================
+
+/**
+ * API endpoint to list the current user's saved filter views
+ * @returns {Object} { success, views, defaultViewId, timestamp }
+ */
+function getSavedViews() {
+  try {
+    var result = getService('savedViewService').getViews();
+    return { success: true, views: result.views, defaultViewId: result.defaultViewId, timestamp: new Date().toISOString() };
+  } catch (e) {
+    console.error('Error getting saved views:', e);
+    return { success: false, error: e.message, timestamp: new Date().toISOString() };
+  }
+}
+
+/**
+ * API endpoint to save the current filters as a named view
+ * @param {string} name - View name
+ * @param {FilterViewState} state - Filter controls
+ * @param {Object} [options] - { id, makeDefault }
+ * @returns {Object} { success, view, views, defaultViewId, timestamp }
+ */
+function saveFilterView(name, state, options) {
+  return updateSavedViews('saving', function(service) {
+    return { view: service.saveView(name, state, options || {}) };
+  });
+}
+
+/**
+ * API endpoint to rename a saved view
+ * @param {string} id - View ID
+ * @param {string} name - New name
+ * @returns {Object} { success, view, views, defaultViewId, timestamp }
+ */
+function renameFilterView(id, name) {
+  return updateSavedViews('renaming', function(service) {
+    return { view: service.renameView(id, name) };
+  });
+}
+
+/**
+ * API endpoint to delete a saved view
+ * @param {string} id - View ID
+ * @returns {Object} { success, views, defaultViewId, timestamp }
+ */
+function deleteFilterView(id) {
+  return updateSavedViews('deleting', function(service) {
+    service.deleteView(id);
+    return {};
+  });
+}
+
+/**
+ * API endpoint to choose the view applied when the dashboard opens
+ * @param {string|null} id - View ID, or null to clear the default
+ * @returns {Object} { success, views, defaultViewId, timestamp }
+ */
+function setDefaultFilterView(id) {
+  return updateSavedViews('setting default', function(service) {
+    service.setDefaultView(id);
+    return {};
+  });
+}
+
+/**
+ * Run a saved view change and return the updated list with it
+ * @param {string} action - Action name for error logs
+ * @param {Function} change - Receives the SavedViewService, returns extra response fields
+ * @returns {Object} Endpoint response
+ */
+function updateSavedViews(action, change) {
+  try {
+    var service = getService('savedViewService');
+    var result = change(service) || {};
+    var store = service.getViews();
+    result.success = true;
+    result.views = store.views;
+    result.defaultViewId = store.defaultViewId;
+    result.timestamp = new Date().toISOString();
+    return result;
+  } catch (e) {
+    console.error('Error ' + action + ' saved view:', e);
+    return { success: false, error: e.message, timestamp: new Date().toISOString() };
   }
 }
 
@@ -515,12 +807,16 @@ function getContractDataTest() {
 
 /**
  * Generate a quick hash of the dataset for cache invalidation
- * Checks lastRow + spot check of first/last cells to detect changes
+ * Combines the sheet dimensions, a spot check of the first/last cells, the
+ * column mapping and the DATASET_VERSION token maintained by the change
+ * triggers and content digest below. Every cache (pages, bulk data, metadata,
+ * data quality) is tied to this hash, so they all invalidate together.
  * @returns {string} Hash representing current dataset state
  */
 function getDatasetHash() {
   try {
-    var sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('AL_Extract');
+    var mapping = getService('columnMappingService').getMapping();
+    var sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(mapping.sheetName);
     if (!sheet) return 'error_no_sheet';
 
     var lastRow = sheet.getLastRow();
@@ -530,17 +826,19 @@ function getDatasetHash() {
     var firstCell = '';
     var lastCell = '';
 
-    if (lastRow >= 3) {
+    if (lastRow >= mapping.dataStartRow) {
       try {
-        firstCell = String(sheet.getRange(3, 1).getValue());
+        firstCell = String(sheet.getRange(mapping.dataStartRow, 1).getValue());
         lastCell = String(sheet.getRange(lastRow, lastCol).getValue());
       } catch (e) {
         // If cell read fails, just use row/col info
       }
     }
 
-    // Create hash from row count + cell samples
-    var hashInput = lastRow + '_' + lastCol + '_' + firstCell + '_' + lastCell;
+    // Create hash from row count + cell samples + content version; the mapping is
+    // included so a mapping change invalidates payloads built with the old column list
+    var version = PropertiesService.getScriptProperties().getProperty(DATASET_VERSION_KEY) || '0';
+    var hashInput = lastRow + '_' + lastCol + '_' + firstCell + '_' + lastCell + '_' + version + '_' + JSON.stringify(mapping);
     return Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, hashInput)
       .map(function(byte) { return (byte & 0xFF).toString(16).padStart(2, '0'); })
       .join('');
@@ -551,138 +849,186 @@ function getDatasetHash() {
   }
 }
 
+// ============================================================================
+// DATASET CHANGE DETECTION
+// Edits made in the Sheets UI bump DATASET_VERSION through onEdit/onChange.
+// Writes that fire no trigger (Sheets API, Apps Script, IMPORTRANGE refreshes)
+// are caught by refreshDatasetDigest, which re-hashes the data in row chunks
+// on a timer and bumps the version when any chunk changed.
+// ============================================================================
+
+/**
+ * Record that the dataset changed. Every hash-keyed cache misses on next read.
+ * @param {string} reason - Why the version changed (logged)
+ * @returns {string} New version token
+ */
+function bumpDatasetVersion(reason) {
+  var version = new Date().getTime() + '_' + Math.floor(Math.random() * 1e6);
+  PropertiesService.getScriptProperties().setProperty(DATASET_VERSION_KEY, version);
+  console.log('Dataset version bumped (' + (reason || 'manual') + '):', version);
+  return version;
+}
+
 /**
- * Retrieve and decompress cached bulk data
- * @param {string} cacheKey - Base cache key
- * @returns {Array|null} Decompressed data or null if not found
+ * Simple trigger: bump the dataset version when the contract sheet is edited
+ * @param {Object} e - Edit event
  */
-function getCachedBulkData(cacheKey) {
+function onEdit(e) {
   try {
-    var cache = CacheService.getScriptCache();
+    if (!e || !e.range) return;
+    var mapping = getService('columnMappingService').getMapping();
+    if (e.range.getSheet().getName() !== mapping.sheetName) return;
+    if (e.range.getLastRow() < mapping.headerRow) return;
+    bumpDatasetVersion('edit ' + e.range.getA1Notation());
+  } catch (error) {
+    console.error('onEdit change tracking failed:', error);
+  }
+}
 
-    // Get metadata about cached chunks
-    var metaKey = cacheKey + '_meta';
-    var metaStr = cache.get(metaKey);
+/**
+ * Installable onChange trigger: structural changes (rows/columns inserted or
+ * removed, sheets renamed, pastes from other tools) that onEdit does not see.
+ * Plain edits are left to onEdit so they are not counted twice; formatting
+ * changes do not affect the data.
+ * @param {Object} e - Change event
+ */
+function handleDatasetChange(e) {
+  try {
+    if (e && (e.changeType === 'EDIT' || e.changeType === 'FORMAT')) return;
+    bumpDatasetVersion('change ' + (e && e.changeType ? e.changeType : 'unknown'));
+  } catch (error) {
+    console.error('onChange change tracking failed:', error);
+  }
+}
 
-    if (!metaStr) {
-      console.log('No cached data found for key:', cacheKey);
-      return null;
-    }
+/**
+ * Re-hash the contract rows in chunks and bump the dataset version when any
+ * chunk digest differs from the last run. Runs on a time-driven trigger.
+ * @returns {Object} { success, changed, changedChunks, chunkCount, timestamp }
+ */
+function refreshDatasetDigest() {
+  try {
+    var context = getContractSheetContext();
+    var props = PropertiesService.getScriptProperties();
+    var chunks = [];
 
-    var meta = JSON.parse(metaStr);
-    var chunkCount = meta.chunkCount;
+    for (var start = 0; start < context.dataRowCount; start += DATASET_DIGEST_CHUNK_ROWS) {
+      var numRows = Math.min(DATASET_DIGEST_CHUNK_ROWS, context.dataRowCount - start);
+      var values = context.sheet.getRange(context.mapping.dataStartRow + start, 1, numRows, context.lastCol).getValues();
+      chunks.push(Utilities.base64Encode(Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, JSON.stringify(values))));
+    }
 
-    // Retrieve all chunks
-    var chunks = [];
-    for (var i = 0; i < chunkCount; i++) {
-      var chunkKey = cacheKey + '_chunk_' + i;
-      var chunk = cache.get(chunkKey);
+    var previous = null;
+    try {
+      previous = JSON.parse(props.getProperty(DATASET_DIGEST_KEY) || 'null');
+    } catch (parseError) {
+      console.warn('Ignoring unreadable dataset digest:', parseError);
+    }
 
-      if (!chunk) {
-        console.warn('Missing chunk', i, 'for cache key:', cacheKey);
-        return null; // Cache incomplete, return null
-      }
+    var changedChunks = findChangedChunks(previous && previous.chunks ? previous.chunks : [], chunks);
 
-      chunks.push(chunk);
+    // The first run only records a baseline
+    var changed = previous !== null && changedChunks.length > 0;
+    if (changed) {
+      bumpDatasetVersion('digest chunks ' + changedChunks.join(','));
     }
 
-    // Combine chunks and decompress
-    var compressed = chunks.join('');
-    var blob = Utilities.ungzip(Utilities.newBlob(Utilities.base64Decode(compressed), 'application/x-gzip'));
-    var jsonStr = blob.getDataAsString();
-    var data = JSON.parse(jsonStr);
+    props.setProperty(DATASET_DIGEST_KEY, JSON.stringify({
+      chunks: chunks,
+      chunkRows: DATASET_DIGEST_CHUNK_ROWS,
+      computedAt: new Date().toISOString()
+    }));
 
-    console.log('Successfully retrieved cached data:', data.length, 'rows from', chunkCount, 'chunks');
-    return data;
+    return {
+      success: true,
+      changed: changed,
+      changedChunks: changedChunks,
+      chunkCount: chunks.length,
+      timestamp: new Date().toISOString()
+    };
 
   } catch (e) {
-    console.error('Error retrieving cached bulk data:', e);
-    return null;
+    console.error('Error refreshing dataset digest:', e);
+    return { success: false, error: e.message, timestamp: new Date().toISOString() };
   }
 }
 
 /**
- * Compress and store data in cache chunks
- * @param {string} cacheKey - Base cache key
- * @param {Array} data - Data to cache
- * @param {number} ttl - Time to live in seconds (default 21600 = 6 hours)
- * @returns {boolean} Success indicator
+ * Indexes of the row chunks whose digest differs between two runs; chunks
+ * present in only one run (rows added or removed at the end) count as changed
+ * @param {string[]} previousChunks - Chunk digests from the last run
+ * @param {string[]} chunks - Chunk digests from this run
+ * @returns {number[]} Changed chunk indexes, ascending
  */
-function setCachedBulkData(cacheKey, data, ttl) {
-  try {
-    ttl = ttl || 21600; // 6 hours default (max for CacheService)
-    var cache = CacheService.getScriptCache();
-
-    // Compress data
-    var jsonStr = JSON.stringify(data);
-    var compressed = Utilities.base64Encode(Utilities.gzip(Utilities.newBlob(jsonStr)));
-
-    var compressedSize = compressed.length;
-    console.log('Compressed data size:', compressedSize, 'bytes');
-
-    // Split into chunks (90KB each to stay under 100KB limit with overhead)
-    var maxChunkSize = 90000;
-    var chunks = [];
+function findChangedChunks(previousChunks, chunks) {
+  var changed = [];
+  for (var i = 0; i < Math.max(chunks.length, previousChunks.length); i++) {
+    if (chunks[i] !== previousChunks[i]) changed.push(i);
+  }
+  return changed;
+}
 
-    for (var i = 0; i < compressed.length; i += maxChunkSize) {
-      chunks.push(compressed.substring(i, Math.min(i + maxChunkSize, compressed.length)));
+/**
+ * Install the onChange and digest triggers (skips ones already installed)
+ * @returns {Object} { success, installed, timestamp }
+ */
+function installDatasetChangeTriggers() {
+  try {
+    var existing = ScriptApp.getProjectTriggers().map(function(trigger) {
+      return trigger.getHandlerFunction();
+    });
+    var installed = [];
+
+    if (existing.indexOf('handleDatasetChange') === -1) {
+      ScriptApp.newTrigger('handleDatasetChange')
+        .forSpreadsheet(SpreadsheetApp.getActiveSpreadsheet())
+        .onChange()
+        .create();
+      installed.push('handleDatasetChange');
     }
 
-    console.log('Split into', chunks.length, 'chunks');
-
-    // Store chunks
-    for (var j = 0; j < chunks.length; j++) {
-      var chunkKey = cacheKey + '_chunk_' + j;
-      cache.put(chunkKey, chunks[j], ttl);
+    if (existing.indexOf('refreshDatasetDigest') === -1) {
+      ScriptApp.newTrigger('refreshDatasetDigest')
+        .timeBased()
+        .everyMinutes(DATASET_DIGEST_INTERVAL_MINUTES)
+        .create();
+      installed.push('refreshDatasetDigest');
     }
 
-    // Store metadata
-    var meta = {
-      chunkCount: chunks.length,
-      originalSize: jsonStr.length,
-      compressedSize: compressedSize,
-      rowCount: data.length,
-      timestamp: new Date().toISOString()
-    };
-
-    cache.put(cacheKey + '_meta', JSON.stringify(meta), ttl);
-
-    console.log('Successfully cached', data.length, 'rows in', chunks.length, 'chunks');
-    return true;
+    return { success: true, installed: installed, timestamp: new Date().toISOString() };
 
   } catch (e) {
-    console.error('Error caching bulk data:', e);
-    return false;
+    console.error('Error installing dataset change triggers:', e);
+    return { success: false, error: e.message, timestamp: new Date().toISOString() };
   }
 }
 
 /**
  * Invalidate all cached data
+ * @param {string} [previousHash] - Hash the entries to drop were stored under;
+ *   callers that change the column mapping pass the hash from before the change
+ *   (defaults to the current hash)
  * @returns {Object} Result of cache invalidation
  */
-function invalidateCache() {
+function invalidateCache(previousHash) {
   try {
-    var cache = CacheService.getScriptCache();
-
-    // Remove specific cache keys
-    var keysToRemove = [
-      'bulk_contracts',
-      'bulk_contracts_meta',
-      'aggregated_metadata'
-    ];
-
-    // Also remove chunk keys (up to 20 chunks max expected)
-    for (var i = 0; i < 20; i++) {
-      keysToRemove.push('bulk_contracts_chunk_' + i);
-    }
+    // Every entry is keyed by the dataset hash, so a new version retires them
+    // all; the large entries for the outgoing version are dropped now to free space
+    var caching = getService('cachingService');
+    previousHash = previousHash || getDatasetHash();
+    var removed = [['bulk', 'contracts'], ['fingerprints', 'contracts'], ['metadata', 'aggregated'], ['quality', 'report']];
+    removed.forEach(function(entry) {
+      caching.remove(entry[0], entry[1], { version: previousHash });
+    });
 
-    cache.removeAll(keysToRemove);
+    bumpDatasetVersion('invalidateCache');
 
-    console.log('Cache invalidated:', keysToRemove.length, 'keys removed');
+    console.log('Cache invalidated for dataset version', previousHash);
 
     return {
       success: true,
-      keysRemoved: keysToRemove.length,
+      previousHash: previousHash,
+      entriesRemoved: removed.length,
       timestamp: new Date().toISOString()
     };
 
@@ -697,87 +1043,54 @@ function invalidateCache() {
 
 /**
  * Get ALL contract data in a single bulk response
- * Reads all data at once, filters to 19 columns, compresses and caches
+ * Reads all data at once, filters to the mapped load columns, compresses and caches
  * @returns {Object} { success, data, hash, cached, rowCount, compressionRatio }
  */
 function getContractDataBulk() {
   try {
     var startTime = new Date();
 
-    // Get current dataset hash
+    // Get current dataset hash; cache entries are keyed by it
     var currentHash = getDatasetHash();
-    var cacheKey = 'bulk_contracts';
-    var cache = CacheService.getScriptCache();
-
-    // Check if hash matches cached version
-    var cachedHash = cache.get('bulk_contracts_hash');
-
-    if (cachedHash === currentHash) {
-      console.log('Dataset hash match, attempting to retrieve from cache');
-      var cachedData = getCachedBulkData(cacheKey);
-
-      if (cachedData) {
-        var cacheTime = new Date() - startTime;
-        console.log('Returned cached data in', cacheTime, 'ms');
-
-        return {
-          success: true,
-          data: cachedData,
-          hash: currentHash,
-          cached: true,
-          rowCount: cachedData.length,
-          responseTime: cacheTime
-        };
-      }
+    var caching = getService('cachingService');
+    var cacheOptions = { version: currentHash };
+
+    var cachedData = caching.get('bulk', 'contracts', cacheOptions);
+    if (cachedData) {
+      var cacheTime = new Date() - startTime;
+      console.log('Returned cached data in', cacheTime, 'ms');
+
+      return {
+        success: true,
+        data: cachedData,
+        hash: currentHash,
+        cached: true,
+        rowCount: cachedData.length,
+        responseTime: cacheTime
+      };
     }
 
     console.log('Cache miss or hash mismatch, reading from sheet');
 
     // Read from sheet
-    var sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('AL_Extract');
-    if (!sheet) {
-      return { success: false, error: 'AL_Extract sheet not found' };
-    }
-
-    var lastRow = sheet.getLastRow();
-    var lastCol = sheet.getLastColumn();
+    var context = getContractSheetContext();
+    var lastCol = context.lastCol;
 
-    if (lastRow < 3) {
+    if (context.dataRowCount === 0) {
       return { success: true, data: [], hash: currentHash, cached: false, rowCount: 0 };
     }
 
-    // Read headers from row 2
-    var headers = sheet.getRange(2, 1, 1, lastCol).getValues()[0];
-
-    // Define the 19 wanted columns
-    var wantedColumns = [
-      'AWARD_STATUS', 'APEXNAME', 'EMP_ORG_SHORT_NAME',
-      'AWARD_TITLE', 'AWARD', 'PROJECT', 'CONTRACT_TYPE',
-      'CEILING', 'PM', 'CO', 'CS', 'PROJECT_TITLE',
-      'PROJECT_START', 'PROJECT_END', 'Client_Bureau',
-      'client_organization', 'FLAGS', 'Mod_Status', 'IGE'
-    ];
-
-    // Build column index map
-    var colMap = {};
-    for (var j = 0; j < headers.length; j++) {
-      var h = String(headers[j]).trim();
-      if (wantedColumns.indexOf(h) !== -1) {
-        colMap[h] = j;
-      }
-    }
-
-    console.log('Found', Object.keys(colMap).length, 'of', wantedColumns.length, 'wanted columns');
+    var wantedColumns = context.loadKeys;
+    console.log('Found', wantedColumns.length, 'mapped columns; missing:', context.missing.join(', ') || 'none');
 
-    // Read ALL data rows in one call (rows 3 to lastRow)
-    var numRows = lastRow - 2;
+    // Read ALL data rows in one call
+    var numRows = context.dataRowCount;
     var readStart = new Date();
-    var allValues = sheet.getRange(3, 1, numRows, lastCol).getValues();
+    var allValues = context.sheet.getRange(context.mapping.dataStartRow, 1, numRows, lastCol).getValues();
     var readTime = new Date() - readStart;
     console.log('Read', numRows, 'rows x', lastCol, 'columns in', readTime, 'ms');
 
     // Filter to wanted columns
-    var tz = Session.getScriptTimeZone();
     var data = [];
     var filterStart = new Date();
 
@@ -785,23 +1098,9 @@ function getContractDataBulk() {
       var row = allValues[i];
 
       // Skip empty rows
-      if (!row[1] && !row[2]) continue;
-
-      var contract = {};
-
-      for (var colName in colMap) {
-        var val = row[colMap[colName]];
-
-        if (val instanceof Date) {
-          contract[colName] = Utilities.formatDate(val, tz, 'yyyy-MM-dd');
-        } else if (val === '' || val === null || val === undefined) {
-          contract[colName] = '';
-        } else {
-          contract[colName] = val;
-        }
-      }
+      if (isEmptyContractRow(row, context)) continue;
 
-      data.push(contract);
+      data.push(rowToContractRecord(row, context));
     }
 
     var filterTime = new Date() - filterStart;
@@ -809,16 +1108,20 @@ function getContractDataBulk() {
 
     // Cache the data
     var cacheStart = new Date();
-    var cached = setCachedBulkData(cacheKey, data, 21600); // 6 hours
+    caching.set('bulk', 'contracts', data, cacheOptions);
 
-    if (cached) {
-      // Store hash to indicate cache is valid
-      cache.put('bulk_contracts_hash', currentHash, 21600);
-    }
+    // Row fingerprints let getContractDelta diff a later version against this one
+    caching.set('fingerprints', 'contracts', buildContractFingerprints(data), cacheOptions);
 
     var cacheTime = new Date() - cacheStart;
     console.log('Cached data in', cacheTime, 'ms');
 
+    // Row-level validation runs on every fresh read so the report always
+    // matches the data the client was just given
+    var qualityStart = new Date();
+    var qualityReport = refreshDataQualityReport(context, allValues, currentHash);
+    var qualityTime = new Date() - qualityStart;
+
     var totalTime = new Date() - startTime;
     var originalSize = numRows * lastCol;
     var filteredSize = data.length * wantedColumns.length;
@@ -839,7 +1142,9 @@ function getContractDataBulk() {
       responseTime: totalTime,
       readTime: readTime,
       filterTime: filterTime,
-      cacheTime: cacheTime
+      cacheTime: cacheTime,
+      qualityTime: qualityTime,
+      dataQuality: qualityReport ? qualityReport.summary : null
     };
 
   } catch (e) {
@@ -849,6 +1154,415 @@ function getContractDataBulk() {
       error: e.message,
       stack: e.stack
     };
+  } finally {
+    flushCacheStats();
+  }
+}
+
+/**
+ * Validate sheet rows and cache the resulting data quality report under
+ * the dataset hash. Failures are logged and never break the data load.
+ * @param {Object} context - Sheet context from getContractSheetContext()
+ * @param {Array[]} values - Raw data rows starting at the mapping's dataStartRow
+ * @param {string} datasetHash - Hash of the dataset the rows came from
+ * @returns {Object|null} Data quality report, or null if validation failed
+ */
+function refreshDataQualityReport(context, values, datasetHash) {
+  try {
+    var keys = Object.keys(context.columnIndex);
+    var headers = {};
+    keys.forEach(function(key) {
+      headers[key] = String(context.headers[context.columnIndex[key]]).trim();
+    });
+
+    var records = [];
+    for (var i = 0; i < values.length; i++) {
+      if (isEmptyContractRow(values[i], context)) continue;
+      var record = rowToContractRecord(values[i], context, keys);
+      record._rowNumber = context.mapping.dataStartRow + i;
+      records.push(record);
+    }
+
+    var report = getService('dataService').buildDataQualityReport(records, {
+      mapping: context.mapping,
+      headers: headers,
+      datasetHash: datasetHash
+    });
+    report.missingColumns = context.missing;
+
+    getService('cachingService').set('quality', 'report', report, { version: datasetHash });
+
+    console.log('Data quality report:', report.summary.errorCount, 'errors,',
+      report.summary.warningCount, 'warnings across', report.summary.totalRows, 'rows');
+    return report;
+
+  } catch (e) {
+    console.error('Error building data quality report:', e);
+    return null;
+  }
+}
+
+/**
+ * API endpoint to get the data quality report for the current dataset
+ * Serves the cached report for the current hash; otherwise re-reads the sheet
+ * @returns {Object} { success, report, datasetHash, cached, timestamp }
+ */
+function getDataQualityReport() {
+  try {
+    var currentHash = getDatasetHash();
+
+    var cachedReport = getService('cachingService').get('quality', 'report', { version: currentHash });
+    if (cachedReport) {
+      return { success: true, report: cachedReport, datasetHash: currentHash, cached: true, timestamp: new Date().toISOString() };
+    }
+
+    var context = getContractSheetContext();
+    var values = context.dataRowCount > 0
+      ? context.sheet.getRange(context.mapping.dataStartRow, 1, context.dataRowCount, context.lastCol).getValues()
+      : [];
+    var report = refreshDataQualityReport(context, values, currentHash);
+    if (!report) {
+      throw new Error('Data quality report could not be generated');
+    }
+
+    return { success: true, report: report, datasetHash: currentHash, cached: false, timestamp: new Date().toISOString() };
+
+  } catch (e) {
+    console.error('Error in getDataQualityReport:', e);
+    return { success: false, error: e.message, timestamp: new Date().toISOString() };
+  } finally {
+    flushCacheStats();
+  }
+}
+
+/**
+ * Stable per-row keys: AWARD, with a #n suffix for the nth repeat of an award
+ * @param {Object[]} records - Contract records in sheet order
+ * @returns {string[]} Keys, parallel to records
+ */
+function buildContractKeys(records) {
+  var seen = {};
+  return records.map(function(record) {
+    var award = String(record.AWARD || '');
+    seen[award] = (seen[award] || 0) + 1;
+    return seen[award] > 1 ? award + '#' + seen[award] : award;
+  });
+}
+
+/**
+ * Fingerprint each record so two dataset versions can be diffed cheaply
+ * @param {Object[]} records - Contract records in sheet order
+ * @returns {Array[]} [key, digest] pairs
+ */
+function buildContractFingerprints(records) {
+  var keys = buildContractKeys(records);
+  return records.map(function(record, i) {
+    var digest = Utilities.base64Encode(Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, JSON.stringify(record)));
+    return [keys[i], digest.substring(0, 16)];
+  });
+}
+
+/**
+ * Get the contracts added, changed and removed since the dataset version the
+ * client holds. Falls back to { full: true } when that version's fingerprints
+ * have expired or most rows changed, in which case the client reloads in bulk.
+ * @param {string} clientHash - Dataset hash returned with the client's data
+ * @returns {Object} { success, hash, unchanged, full, added, changed, removed, rowCount }
+ */
+function getContractDelta(clientHash) {
+  try {
+    var startTime = new Date();
+    var currentHash = getDatasetHash();
+
+    if (clientHash && clientHash === currentHash) {
+      return { success: true, hash: currentHash, unchanged: true, full: false, added: [], changed: [], removed: [], timestamp: new Date().toISOString() };
+    }
+
+    var caching = getService('cachingService');
+    var previous = clientHash ? caching.get('fingerprints', 'contracts', { version: clientHash }) : null;
+    if (!previous) {
+      return { success: true, hash: currentHash, unchanged: false, full: true, reason: 'Client dataset version is no longer cached', timestamp: new Date().toISOString() };
+    }
+
+    // Reuses the bulk cache, or re-reads the sheet and refreshes it
+    var bulk = getContractDataBulk();
+    if (!bulk.success) throw new Error(bulk.error);
+
+    var current = caching.get('fingerprints', 'contracts', { version: bulk.hash });
+    if (!current || current.length !== bulk.data.length) {
+      current = buildContractFingerprints(bulk.data);
+      caching.set('fingerprints', 'contracts', current, { version: bulk.hash });
+    }
+
+    var previousDigests = {};
+    previous.forEach(function(pair) { previousDigests[pair[0]] = pair[1]; });
+
+    var added = [];
+    var changed = [];
+    var currentKeys = {};
+    current.forEach(function(pair, i) {
+      var key = pair[0];
+      currentKeys[key] = true;
+      if (!previousDigests.hasOwnProperty(key)) {
+        added.push({ key: key, record: bulk.data[i] });
+      } else if (previousDigests[key] !== pair[1]) {
+        changed.push({ key: key, record: bulk.data[i] });
+      }
+    });
+
+    var removed = previous
+      .filter(function(pair) { return !currentKeys.hasOwnProperty(pair[0]); })
+      .map(function(pair) { return pair[0]; });
+
+    // A delta bigger than half the dataset costs more than the bulk payload
+    if (added.length + changed.length > bulk.data.length / 2) {
+      return { success: true, hash: bulk.hash, unchanged: false, full: true, reason: 'Most rows changed', timestamp: new Date().toISOString() };
+    }
+
+    console.log('Delta since', clientHash, ':', added.length, 'added,', changed.length, 'changed,', removed.length, 'removed');
+
+    return {
+      success: true,
+      hash: bulk.hash,
+      unchanged: false,
+      full: false,
+      added: added,
+      changed: changed,
+      removed: removed,
+      rowCount: bulk.data.length,
+      responseTime: new Date() - startTime,
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (e) {
+    console.error('Error in getContractDelta:', e);
+    return { success: false, error: e.message, timestamp: new Date().toISOString() };
+  } finally {
+    flushCacheStats();
+  }
+}
+
+/**
+ * Filter, sort and page the contracts on the server
+ * Lets a client show one page and its facet counts without holding the
+ * whole dataset. Rows come from the bulk cache (re-read on a miss).
+ * searchText is a plain substring match; query syntax is refused (see FilterController).
+ * @param {FilterCriteria} criteria - Filters; dates as 'yyyy-MM-dd' strings
+ * @param {Object} [options] - { page (1-based), pageSize, sortColumn, sortDirection, facets }
+ * @returns {ContractQueryResult} Page of rows, totals and facet counts
+ */
+function queryContracts(criteria, options) {
+  try {
+    var startTime = new Date();
+    var bulk = getContractDataBulk();
+    if (!bulk.success) throw new Error(bulk.error);
+
+    var controller = new FilterController(bulk.data, { userEmail: Session.getActiveUser().getEmail() });
+    var result = controller.query(criteria || {}, options || {});
+
+    return Object.assign({ success: true, hash: bulk.hash }, result, {
+      responseTime: new Date() - startTime,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (e) {
+    console.error('Error in queryContracts:', e);
+    return { success: false, error: e.message, timestamp: new Date().toISOString() };
+  }
+}
+
+/**
+ * API endpoint for the contract detail drawer: every sheet column of one
+ * award, grouped, with its milestones and financial risks
+ * @param {string} key - AWARD, or AWARD#n for its nth repeat (see buildContractKeys)
+ * @returns {Object} { success, detail: ContractDetail, cached, timestamp }
+ */
+function getContractDetail(key) {
+  try {
+    if (!key) throw new Error('Award is required');
+    key = String(key);
+
+    var caching = getService('cachingService');
+    var cacheOptions = { version: getDatasetHash() };
+    var cached = caching.get('detail', key, cacheOptions);
+    if (cached) {
+      return { success: true, detail: cached, cached: true, timestamp: new Date().toISOString() };
+    }
+
+    var detail = getService('contractDetailService').getDetail(key);
+    caching.set('detail', key, detail, cacheOptions);
+    return { success: true, detail: detail, cached: false, timestamp: new Date().toISOString() };
+
+  } catch (e) {
+    console.error('Error in getContractDetail:', e);
+    return { success: false, error: e.message, timestamp: new Date().toISOString() };
+  } finally {
+    flushCacheStats();
+  }
+}
+
+/**
+ * API endpoint for the Risks view: FinancialAnalyzer risks for the contracts
+ * matching the filters, with IGE against CEILING as the utilization signal
+ * @param {FilterCriteria} [filters] - Filters; dates as 'yyyy-MM-dd' strings
+ * @returns {Object} { success, report: FinancialRiskReport, hash, responseTime, timestamp }
+ */
+function getFinancialRisks(filters) {
+  try {
+    var startTime = new Date();
+    var bulk = getContractDataBulk();
+    if (!bulk.success) throw new Error(bulk.error);
+
+    var controller = new FilterController(bulk.data, { userEmail: Session.getActiveUser().getEmail() });
+    var records = controller.applyCriteria(filters || {});
+    var contracts = getService('dataService').normalizeRecords(records);
+    var risks = getService('financialAnalyzer').identifyFinancialRisks(contracts);
+
+    var recordsByAward = {};
+    records.forEach(function(record) {
+      var award = String(record.AWARD || '');
+      if (!recordsByAward[award]) recordsByAward[award] = record;
+    });
+
+    var bySeverity = {};
+    var byType = {};
+    var atRisk = {};
+    var report = risks.map(function(risk) {
+      var record = recordsByAward[String(risk.contractId || '')] || {};
+      bySeverity[risk.severity] = (bySeverity[risk.severity] || 0) + 1;
+      byType[risk.riskType] = (byType[risk.riskType] || 0) + 1;
+      atRisk[risk.contractId] = true;
+      return Object.assign({}, risk, {
+        identifiedDate: risk.identifiedDate instanceof Date ? risk.identifiedDate.toISOString() : risk.identifiedDate,
+        contractTitle: String(record.AWARD_TITLE || record.PROJECT_TITLE || ''),
+        contractStatus: String(record.AWARD_STATUS || '')
+      });
+    });
+
+    return {
+      success: true,
+      report: {
+        risks: report,
+        bySeverity: bySeverity,
+        byType: byType,
+        contractsEvaluated: records.length,
+        contractsAtRisk: Object.keys(atRisk).length
+      },
+      hash: bulk.hash,
+      responseTime: new Date() - startTime,
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (e) {
+    console.error('Error in getFinancialRisks:', e);
+    return { success: false, error: e.message, timestamp: new Date().toISOString() };
+  }
+}
+
+/**
+ * API endpoint for the Fiscal Allocation view: contract values prorated into a
+ * fiscal year by period of performance, rolled up by bureau and APEX portfolio
+ * @param {number} [fiscalYear] - Fiscal year, e.g. 2026; defaults to the current one
+ * @param {FilterCriteria} [filters] - Filters; dates as 'yyyy-MM-dd' strings
+ * @param {Object} [options] - { basis: 'awardValue' or 'ceiling' }
+ * @returns {Object} { success, report: FiscalAllocationReport, hash, responseTime, timestamp }
+ */
+function getFiscalAllocationReport(fiscalYear, filters, options) {
+  try {
+    var startTime = new Date();
+    var year = fiscalYear ? parseInt(fiscalYear, 10) : DateUtils.getFiscalYear(new Date());
+    if (isNaN(year) || year < 1990 || year > 2100) throw new Error('Invalid fiscal year: ' + fiscalYear);
+
+    var bulk = getContractDataBulk();
+    if (!bulk.success) throw new Error(bulk.error);
+
+    var controller = new FilterController(bulk.data, { userEmail: Session.getActiveUser().getEmail() });
+    var contracts = getService('dataService').normalizeRecords(controller.applyCriteria(filters || {}));
+    var report = getService('financialAnalyzer').buildFiscalAllocationReport(contracts, year, { basis: (options || {}).basis });
+
+    return {
+      success: true,
+      report: report,
+      hash: bulk.hash,
+      responseTime: new Date() - startTime,
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (e) {
+    console.error('Error in getFiscalAllocationReport:', e);
+    return { success: false, error: e.message, timestamp: new Date().toISOString() };
+  }
+}
+
+/**
+ * API endpoint for the Runway view: projected ceiling burn for the contracts
+ * matching the filters that are still in performance, shortest runway first
+ * @param {FilterCriteria} [filters] - Filters; dates as 'yyyy-MM-dd' strings
+ * @returns {Object} { success, report: RunwayReport, hash, responseTime, timestamp }
+ */
+function getBurnRateRunway(filters) {
+  try {
+    var startTime = new Date();
+    var bulk = getContractDataBulk();
+    if (!bulk.success) throw new Error(bulk.error);
+
+    var controller = new FilterController(bulk.data, { userEmail: Session.getActiveUser().getEmail() });
+    var contracts = getService('dataService').normalizeRecords(controller.applyCriteria(filters || {}));
+    var report = getService('burnRateForecaster').buildRunwayReport(contracts);
+
+    return {
+      success: true,
+      report: report,
+      hash: bulk.hash,
+      responseTime: new Date() - startTime,
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (e) {
+    console.error('Error in getBurnRateRunway:', e);
+    return { success: false, error: e.message, timestamp: new Date().toISOString() };
+  }
+}
+
+/**
+ * API endpoint for the Spending Explorer: IGE grouped by organization, sector,
+ * contract type or time, split into award-date periods
+ * @param {FilterCriteria} [filters] - Filters; dates as 'yyyy-MM-dd' strings
+ * @param {Object} [options] - { groupBy: 'organization' | 'sector' | 'contractType' | 'time',
+ *   timePeriod: 'month' | 'quarter' | 'year' }
+ * @returns {Object} { success, analysis: SpendingAnalysis, hash, responseTime, timestamp }
+ */
+function getSpendingAnalysis(filters, options) {
+  try {
+    var startTime = new Date();
+    var opts = options || {};
+    var groupBy = opts.groupBy || 'organization';
+    var timePeriod = opts.timePeriod || 'year';
+    if (['organization', 'sector', 'contractType', 'time'].indexOf(groupBy) === -1) {
+      throw new Error('Invalid grouping: ' + groupBy);
+    }
+    if (['month', 'quarter', 'year'].indexOf(timePeriod) === -1) {
+      throw new Error('Invalid time period: ' + timePeriod);
+    }
+
+    var bulk = getContractDataBulk();
+    if (!bulk.success) throw new Error(bulk.error);
+
+    var controller = new FilterController(bulk.data, { userEmail: Session.getActiveUser().getEmail() });
+    var contracts = getService('dataService').normalizeRecords(controller.applyCriteria(filters || {}));
+    var analysis = getService('financialAnalyzer').generateSpendingAnalysis(contracts, groupBy, timePeriod);
+
+    return {
+      success: true,
+      analysis: analysis,
+      hash: bulk.hash,
+      responseTime: new Date() - startTime,
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (e) {
+    console.error('Error in getSpendingAnalysis:', e);
+    return { success: false, error: e.message, timestamp: new Date().toISOString() };
   }
 }
 
@@ -860,24 +1574,16 @@ function getContractDataBulk() {
 function getAggregatedMetadata() {
   try {
     var startTime = new Date();
-    var cacheKey = 'aggregated_metadata';
-    var cache = CacheService.getScriptCache();
+    var caching = getService('cachingService');
 
-    // Check if we have cached metadata matching current dataset
+    // Check if we have cached metadata for the current dataset
     var currentHash = getDatasetHash();
-    var cachedMetaStr = cache.get(cacheKey);
+    var cachedMeta = caching.get('metadata', 'aggregated', { version: currentHash });
 
-    if (cachedMetaStr) {
-      try {
-        var cachedMeta = JSON.parse(cachedMetaStr);
-        if (cachedMeta.datasetHash === currentHash) {
-          console.log('Returning cached aggregated metadata');
-          cachedMeta.cached = true;
-          return cachedMeta;
-        }
-      } catch (parseError) {
-        console.warn('Failed to parse cached metadata:', parseError);
-      }
+    if (cachedMeta) {
+      console.log('Returning cached aggregated metadata');
+      cachedMeta.cached = true;
+      return cachedMeta;
     }
 
     console.log('Computing aggregated metadata from scratch');
@@ -1073,11 +1779,8 @@ function getAggregatedMetadata() {
     };
 
     // Cache the metadata (shorter TTL since it's smaller)
-    try {
-      cache.put(cacheKey, JSON.stringify(metadata), 3600); // 1 hour
+    if (caching.set('metadata', 'aggregated', metadata, { version: currentHash })) {
       console.log('Cached aggregated metadata');
-    } catch (cacheError) {
-      console.warn('Failed to cache metadata:', cacheError);
     }
 
     console.log('Computed aggregated metadata in', metadata.computeTime, 'ms');
@@ -1091,6 +1794,8 @@ function getAggregatedMetadata() {
       error: e.message,
       stack: e.stack
     };
+  } finally {
+    flushCacheStats();
   }
 }
 
@@ -1100,20 +1805,22 @@ function getAggregatedMetadata() {
 
 /**
  * Enhanced API endpoint to get financial summary with error handling
- * @param {ContractData[]} contracts - Contract data
+ * @param {ContractData[]|Object[]} [contracts] - Contract data; raw-key records from the
+ *   client are normalized first. When omitted, all contracts are loaded from the sheet
  * @returns {FinancialSummary} Financial summary
  */
 function getFinancialSummary(contracts) {
   try {
-    if (!appState.services.financialAnalyzer) {
-      throw new Error('Financial analyzer not available');
+    if (contracts === undefined || contracts === null) {
+      contracts = getService('dataService').loadContractData();
     }
     
     if (!Array.isArray(contracts)) {
       throw new Error('Invalid contract data provided');
     }
     
-    const summary = appState.services.financialAnalyzer.calculateTotalValues(contracts);
+    contracts = getNormalizedContracts(contracts);
+    const summary = getService('financialAnalyzer').calculateTotalValues(contracts);
     
     // Log financial analysis
     if (appState.services.securityAuditor) {
@@ -1154,24 +1861,10 @@ function exportData(data, format, filters = {}, options = {}) {
       throw new Error('Export format must be specified');
     }
     
-    // Ensure export service is available
-    if (!appState.services.exportService) {
-      throw new Error('Export service not available');
-    }
+    const exportService = getService('exportService');
     
     // Check user permissions
-    const user = Session.getActiveUser();
-    if (!user || !user.getEmail()) {
-      throw new Error('User authentication required for export');
-    }
-    
-    // Validate export permissions
-    if (appState.services.accessController) {
-      const canExport = appState.services.accessController.checkExportPermission(user);
-      if (!canExport) {
-        throw new Error('Insufficient permissions to export data');
-      }
-    }
+    const userEmail = requirePermission(Permission.EXPORT_DATA, 'Insufficient permissions to export data');
     
     let blob;
     let filename;
@@ -1183,7 +1876,7 @@ function exportData(data, format, filters = {}, options = {}) {
     // Process export based on format
     switch (format.toLowerCase()) {
       case 'csv':
-        blob = appState.services.exportService.exportToCSV(data, filters, options);
+        blob = exportService.exportToCSV(data, filters, options);
         filename = `contracts_export_${timestamp}.csv`;
         mimeType = 'text/csv';
         break;
@@ -1191,13 +1884,13 @@ function exportData(data, format, filters = {}, options = {}) {
       case 'pdf':
         // Get chart images if provided in options
         const charts = options.charts || [];
-        blob = appState.services.exportService.generatePDFReport(data, charts, filters, options);
+        blob = exportService.generatePDFReport(data, charts, filters, options);
         filename = `contracts_report_${timestamp}.pdf`;
         mimeType = 'application/pdf';
         break;
         
       case 'excel':
-        blob = appState.services.exportService.createExcelWorkbook(data, filters, options);
+        blob = exportService.createExcelWorkbook(data, filters, options);
         filename = `contracts_workbook_${timestamp}.xlsx`;
         mimeType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
         break;
@@ -1218,7 +1911,7 @@ function exportData(data, format, filters = {}, options = {}) {
     // Log export activity
     if (appState.services.securityAuditor) {
       appState.services.securityAuditor.logEvent('data_exported', {
-        user: user.getEmail(),
+        user: userEmail,
         format: format,
         recordCount: data.length,
         fileSize: blob.getBytes().length,
@@ -1241,7 +1934,7 @@ function exportData(data, format, filters = {}, options = {}) {
       processingTime: processingTime,
       generatedAt: new Date().toISOString(),
       expiresAt: new Date(Date.now() + (24 * 60 * 60 * 1000)).toISOString(), // 24 hours
-      user: user.getEmail()
+      user: userEmail
     };
     
   } catch (error) {
@@ -1274,11 +1967,8 @@ function exportData(data, format, filters = {}, options = {}) {
  */
 function getExportConfigurations() {
   try {
-    if (!appState.services.exportService) {
-      throw new Error('Export service not available');
-    }
-    
-    const configurations = appState.services.exportService.getAvailableConfigurations();
+    const exportService = getService('exportService');
+    const configurations = exportService.getAvailableConfigurations();
     
     // Add metadata about each configuration
     const enhancedConfigurations = {};
@@ -1294,7 +1984,7 @@ function getExportConfigurations() {
     return {
       success: true,
       configurations: enhancedConfigurations,
-      defaultConfiguration: 'summary',
+      defaultConfiguration: exportService.defaultConfiguration,
       supportedFormats: ['csv', 'excel', 'pdf'],
       maxRecords: 10000,
       timestamp: new Date().toISOString()
@@ -1316,17 +2006,18 @@ function getExportConfigurations() {
  * @param {string} format - Export format
  * @param {FilterCriteria} filters - Applied filters
  * @param {string} configurationName - Configuration name
+ * @param {Object} options - Additional export options (e.g. charts for PDF)
  * @returns {Object} Export result
  */
-function exportWithConfiguration(data, format, filters, configurationName) {
+function exportWithConfiguration(data, format, filters, configurationName, options = {}) {
   try {
     // Validate configuration name
-    const configurations = appState.services.exportService.getAvailableConfigurations();
+    const configurations = getService('exportService').getAvailableConfigurations();
     if (!configurations[configurationName]) {
       throw new Error(`Unknown export configuration: ${configurationName}`);
     }
     
-    return exportData(data, format, filters, { configuration: configurationName });
+    return exportData(data, format, filters, { ...options, configuration: configurationName });
     
   } catch (error) {
     console.error('Error exporting with configuration:', error);
@@ -1339,6 +2030,30 @@ function exportWithConfiguration(data, format, filters, configurationName) {
   }
 }
 
+/**
+ * API endpoint to export a table built on the client, such as a pivot
+ * @param {Object} table - { name, columns: { label, format }[], rows: any[][], rowKinds, recordCount }
+ * @param {string} format - Export format ('csv', 'pdf', 'excel')
+ * @param {FilterCriteria} filters - Applied filters for metadata
+ * @returns {Object} Export result
+ */
+function exportTable(table, format, filters) {
+  try {
+    // Check the shape here so a bad table fails before anything is written to Drive
+    getService('exportService').normalizeTable(table);
+    return exportData([], format, filters, { table: table });
+
+  } catch (error) {
+    console.error('Error exporting table:', error);
+    return {
+      success: false,
+      error: error.message,
+      format: format,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
 /**
  * Enhanced cleanup function for old export files with comprehensive management
  * @param {number} maxAgeHours - Maximum age in hours (default: 24)
@@ -1498,6 +2213,7 @@ function getApplicationStatus() {
       health: healthReport,
       performance: appState.performanceMetrics,
       activeUsers: appState.activeUsers.size,
+      cache: getService('cachingService').getStats(),
       services: Object.keys(appState.services).map(key => ({
         name: key,
         status: appState.services[key] ? 'available' : 'unavailable'
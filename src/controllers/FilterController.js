@@ -1,19 +1,486 @@
 /**
- * FilterController - Stub for GAS server-side compatibility
- * Actual filtering is handled client-side in scripts.html
+ * FilterController - Server-side filtering, sorting, paging and facet counts
+ * Works on the raw-key contract records served by getContractDataBulk
+ * (AWARD, AWARD_STATUS, CEILING, ...). The filter controls match the client's
+ * applyFilters, but searchText is a plain case-insensitive substring match over
+ * SEARCH_KEYS: the browser's query language (field:value, comparisons, quotes,
+ * negation, OR) and fuzzy matching are not implemented here, and search text
+ * using that syntax is rejected. The dashboard resolves its search in the
+ * browser and sends the matching awards instead (getServerFilterCriteria).
+ */
+
+/**
+ * FilterController class for querying contract records with FilterCriteria
  */
 class FilterController {
-  constructor() {
+  /**
+   * Record keys matched by the free-text search
+   * @returns {string[]}
+   */
+  static get SEARCH_KEYS() {
+    return ['AWARD', 'PROJECT', 'PROJECT_TITLE', 'Client_Bureau', 'client_organization', 'AWARD_STATUS', 'AWARD_TITLE'];
+  }
+
+  /**
+   * Field names of the client's search query language (SEARCH_FIELDS and
+   * SEARCH_FIELD_ALIASES in scripts.html), used to reject query syntax
+   * @returns {string[]}
+   */
+  static get QUERY_FIELDS() {
+    return ['award', 'project', 'title', 'status', 'type', 'org', 'pm', 'co', 'cs', 'flags', 'ceiling', 'value',
+      'start', 'end', 'awarded', 'completion', 'idv', 'family', 'client', 'bureau', 'ige'];
+  }
+
+  /**
+   * Record values behind each multi-select criterion; a record matches when
+   * any of its values is selected. `split` breaks a cell into several values,
+   * `labels` turn set flag columns into a label each and `prefixes` name the
+   * column a value came from. Keep in step with FACET_FILTERS in scripts.html.
+   * @returns {Object<string, Object>}
+   */
+  static get MULTI_SELECT_FIELDS() {
+    return {
+      status: { keys: ['AWARD_STATUS'] },
+      organizations: { keys: ['Client_Bureau', 'client_organization'] },
+      contractTypes: { keys: ['CONTRACT_TYPE'] },
+      personnel: { keys: ['PM', 'CO', 'CS'] },
+      flags: { keys: ['FLAGS'], split: ',' },
+      competitionTypes: { keys: ['COMPETITION_TYPE'] },
+      commerciality: { keys: ['Commerciality'] },
+      awardFiscalYears: { keys: ['FY_AWARD'] },
+      programs: { keys: ['INTEL_FLAG', 'SBIR_FLAG'], labels: ['Intel', 'SBIR'] },
+      vehiclePools: { keys: ['OASIS_POOL', 'OASIS_SB_POOL', 'ASTRO_POOL'], prefixes: ['OASIS: ', 'OASIS SB: ', 'ASTRO: '] },
+      awards: { keys: ['AWARD'] }
+    };
+  }
+
+  /**
+   * Email columns checked for each myRole value
+   * @returns {Object<string, string[]>}
+   */
+  static get ROLE_EMAIL_KEYS() {
+    return { any: ['PM_EMAIL', 'CO_EMAIL', 'CS_EMAIL'], PM: ['PM_EMAIL'], CO: ['CO_EMAIL'], CS: ['CS_EMAIL'] };
+  }
+
+  /**
+   * Record key for each FilterCriteria date field
+   * @returns {Object<string, string>}
+   */
+  static get DATE_FIELDS() {
+    return { projectStart: 'PROJECT_START', projectEnd: 'PROJECT_END', awardDate: 'AWARD_DATE', completion: 'EST_ULTIMATE_COMPLETION' };
+  }
+
+  /**
+   * Record key for each FilterCriteria financial field
+   * @returns {Object<string, string>}
+   */
+  static get FINANCIAL_FIELDS() {
+    return { ceiling: 'CEILING', awardValue: 'IGE' };
+  }
+
+  /**
+   * Table sort columns (data-sort values in dashboard.html) and their type
+   * @returns {Object<string, Object>}
+   */
+  static get SORT_COLUMNS() {
+    return {
+      award: { keys: ['AWARD'], type: 'string' },
+      project: { keys: ['AWARD_TITLE'], type: 'string' },
+      ceiling: { keys: ['CEILING'], type: 'currency' },
+      awardValue: { keys: ['IGE'], type: 'currency' },
+      status: { keys: ['AWARD_STATUS'], type: 'string' },
+      projectStart: { keys: ['PROJECT_START'], type: 'date' },
+      projectEnd: { keys: ['PROJECT_END'], type: 'date' },
+      clientBureau: { keys: ['Client_Bureau', 'client_organization'], type: 'string' }
+    };
+  }
+
+  /**
+   * @param {Object[]} [data] - Contract records to query
+   * @param {Object} [options] - { userEmail } for the myRole criterion
+   */
+  constructor(data, options = {}) {
     this.originalData = [];
     this.filteredData = [];
     this.activeFilters = {};
+    this.defaultPageSize = 50;
+    this.maxPageSize = 500;
+    this.defaultFacets = ['status', 'organizations', 'contractTypes'];
+    // Static getters build a new object per call; keep one copy for the per-record checks
+    this.searchKeys = FilterController.SEARCH_KEYS;
+    this.multiSelectFields = FilterController.MULTI_SELECT_FIELDS;
+    this.roleEmailKeys = FilterController.ROLE_EMAIL_KEYS;
+    this.userEmail = String(options.userEmail || '').trim().toLowerCase();
+    this.dateFields = FilterController.DATE_FIELDS;
+    this.financialFields = FilterController.FINANCIAL_FIELDS;
+    this.initializeFilters(data);
+  }
+
+  /**
+   * Replace the records being queried and clear all filters
+   * @param {Object[]} data - Contract records
+   */
+  initializeFilters(data) {
+    this.originalData = Array.isArray(data) ? data : [];
+    this.filteredData = this.originalData.slice();
+    this.activeFilters = {};
+  }
+
+  /**
+   * Filter the records with a complete set of criteria, replacing any
+   * filters applied before
+   * @param {FilterCriteria} criteria - Filters to apply
+   * @returns {Object[]} Matching records
+   */
+  applyCriteria(criteria) {
+    this.activeFilters = this._normalizeCriteria(criteria);
+    this.filteredData = this.originalData.filter(record => this._matches(record, this.activeFilters));
+    return this.filteredData;
+  }
+
+  /**
+   * Narrow the current result to records containing the search term
+   * @param {string} term - Case-insensitive search term
+   * @returns {Object[]} Matching records
+   */
+  applyTextSearch(term) {
+    return this._narrow({ searchText: term });
+  }
+
+  /**
+   * Narrow the current result to records whose date falls in the range
+   * @param {Date|string} [start] - Inclusive start date
+   * @param {Date|string} [end] - Inclusive end date
+   * @param {'awardDate'|'projectStart'|'projectEnd'} [field] - Date field (default projectStart)
+   * @returns {Object[]} Matching records
+   */
+  applyDateRangeFilter(start, end, field) {
+    return this._narrow({ dateRange: { startDate: start, endDate: end, field: field } });
+  }
+
+  /**
+   * Narrow the current result to records with one of the selected values
+   * @param {string} field - Multi-select criterion (see MULTI_SELECT_FIELDS)
+   * @param {string[]} values - Selected values
+   * @returns {Object[]} Matching records
+   */
+  applyMultiSelectFilter(field, values) {
+    if (!this.multiSelectFields[field]) {
+      throw new Error(`Unknown filter field: ${field}`);
+    }
+    return this._narrow({ [field]: values });
+  }
+
+  /**
+   * Narrow the current result to records whose amount falls in the range
+   * @param {number|null} [min] - Inclusive minimum
+   * @param {number|null} [max] - Inclusive maximum
+   * @param {'ceiling'|'awardValue'} [field] - Financial field (default ceiling)
+   * @returns {Object[]} Matching records
+   */
+  applyFinancialRangeFilter(min, max, field) {
+    return this._narrow({ financialRange: { min: min, max: max, field: field } });
+  }
+
+  /**
+   * Sort records by a table column; the input array is not modified
+   * @param {Object[]} data - Records to sort
+   * @param {string} column - Sort column (see SORT_COLUMNS)
+   * @param {'asc'|'desc'} [direction] - Sort direction
+   * @returns {Object[]} Sorted copy
+   */
+  sortData(data, column, direction) {
+    const sortColumn = FilterController.SORT_COLUMNS[column];
+    if (!sortColumn) return data.slice();
+    const sign = direction === 'desc' ? -1 : 1;
+    return data
+      .map(record => ({ record, value: this._sortValue(record, sortColumn) }))
+      .sort((a, b) => sign * this._compare(a.value, b.value, sortColumn.type))
+      .map(entry => entry.record);
+  }
+
+  /**
+   * Count matching records per value of each facet. Each facet ignores its
+   * own selection, so the counts say how many records picking that value
+   * would give with the other filters unchanged.
+   * @param {FilterCriteria} criteria - Active filters
+   * @param {string[]} [fields] - Facets to count (default status, organizations, contractTypes)
+   * @returns {Object<string, Object<string, number>>} Counts keyed by facet, then value
+   */
+  getFacetCounts(criteria, fields) {
+    const normalized = this._normalizeCriteria(criteria);
+    const facets = {};
+
+    (fields || this.defaultFacets).forEach(field => {
+      const definition = this.multiSelectFields[field];
+      if (!definition) return;
+      const others = Object.assign({}, normalized, { [field]: [] });
+      const counts = {};
+      this.originalData.forEach(record => {
+        if (!this._matches(record, others)) return;
+        this._recordValues(record, definition).forEach(value => {
+          counts[value] = (counts[value] || 0) + 1;
+        });
+      });
+      facets[field] = counts;
+    });
+
+    return facets;
+  }
+
+  /**
+   * Filter, sort and page the records in one call
+   * @param {FilterCriteria} criteria - Filters to apply
+   * @param {Object} [options] - { page (1-based), pageSize, sortColumn, sortDirection, facets }
+   *   facets: array of facet fields, or false to skip the counts
+   * @returns {Object} { rows, total, page, pageSize, totalPages, sortColumn, sortDirection, facets }
+   */
+  query(criteria, options = {}) {
+    const pageSize = Math.min(Math.max(parseInt(options.pageSize, 10) || this.defaultPageSize, 1), this.maxPageSize);
+    const sortDirection = options.sortDirection === 'desc' ? 'desc' : 'asc';
+    const sortColumn = FilterController.SORT_COLUMNS[options.sortColumn] ? options.sortColumn : null;
+
+    let matched = this.applyCriteria(criteria);
+    if (sortColumn) matched = this.sortData(matched, sortColumn, sortDirection);
+
+    const totalPages = Math.max(1, Math.ceil(matched.length / pageSize));
+    const page = Math.min(Math.max(parseInt(options.page, 10) || 1, 1), totalPages);
+    const start = (page - 1) * pageSize;
+
+    return {
+      rows: matched.slice(start, start + pageSize),
+      total: matched.length,
+      page: page,
+      pageSize: pageSize,
+      totalPages: totalPages,
+      sortColumn: sortColumn,
+      sortDirection: sortDirection,
+      facets: options.facets === false ? null : this.getFacetCounts(criteria, options.facets)
+    };
+  }
+
+  /**
+   * Drop all filters
+   */
+  clearAllFilters() {
+    this.filteredData = this.originalData.slice();
+    this.activeFilters = {};
+  }
+
+  /**
+   * @returns {Object[]} Records matching the active filters
+   */
+  getFilteredData() {
+    return this.filteredData;
+  }
+
+  /**
+   * Active filters with empty criteria left out
+   * @returns {Object} Summary keyed by criterion
+   */
+  getActiveFilterSummary() {
+    const active = this.activeFilters;
+    const summary = {};
+    if (active.searchText) summary.searchText = active.searchText;
+    if (active.myRole) summary.myRole = active.myRole;
+    Object.keys(this.multiSelectFields).forEach(field => {
+      if (active[field] && active[field].length > 0) summary[field] = active[field].slice();
+    });
+    if (active.dateRange && (active.dateRange.start || active.dateRange.end)) summary.dateRange = active.dateRange;
+    if (active.financialRange && (active.financialRange.min !== null || active.financialRange.max !== null)) {
+      summary.financialRange = active.financialRange;
+    }
+    summary.matchCount = this.filteredData.length;
+    summary.totalCount = this.originalData.length;
+    return summary;
+  }
+
+  /**
+   * Distinct values of a multi-select criterion, sorted
+   * @param {string} field - Multi-select criterion (see MULTI_SELECT_FIELDS)
+   * @returns {string[]} Unique values
+   */
+  getUniqueValues(field) {
+    const definition = this.multiSelectFields[field];
+    if (!definition) return [];
+    const seen = {};
+    this.originalData.forEach(record => {
+      this._recordValues(record, definition).forEach(value => { seen[value] = true; });
+    });
+    return Object.keys(seen).sort();
+  }
+
+  // Private helper methods
+
+  /**
+   * Apply extra criteria on top of the current result
+   * @private
+   */
+  _narrow(partial) {
+    const criteria = this._normalizeCriteria(partial);
+    this.filteredData = this.filteredData.filter(record => this._matches(record, criteria));
+    Object.keys(partial).forEach(key => { this.activeFilters[key] = criteria[key]; });
+    return this.filteredData;
+  }
+
+  /**
+   * Coerce a client-supplied FilterCriteria into parsed bounds and string lists
+   * @private
+   */
+  _normalizeCriteria(criteria) {
+    const source = criteria || {};
+    const dateRange = source.dateRange || {};
+    const financialRange = source.financialRange || {};
+    // A preset (FY26Q2, thisfy, next120d...) takes precedence over explicit dates
+    const preset = dateRange.preset ? DateUtils.resolveDatePreset(dateRange.preset) : null;
+    const normalized = {
+      searchText: this._plainSearchText(source.searchText),
+      myRole: this.roleEmailKeys[source.myRole] ? source.myRole : '',
+      dateRange: {
+        field: FilterController.DATE_FIELDS[dateRange.field] ? dateRange.field : 'projectStart',
+        start: preset ? preset.startDate : DateUtils.parseDate(dateRange.startDate),
+        end: preset ? preset.endDate : DateUtils.parseDate(dateRange.endDate)
+      },
+      financialRange: {
+        field: FilterController.FINANCIAL_FIELDS[financialRange.field] ? financialRange.field : 'ceiling',
+        min: this._bound(financialRange.min),
+        max: this._bound(financialRange.max)
+      }
+    };
+    Object.keys(this.multiSelectFields).forEach(field => {
+      normalized[field] = Array.isArray(source[field]) ? source[field].map(String) : [];
+    });
+    return normalized;
+  }
+
+  /**
+   * @private
+   */
+  _bound(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? null : parsed;
+  }
+
+  /**
+   * Whether a record passes every criterion of a normalized criteria object
+   * @private
+   */
+  _matches(record, criteria) {
+    if (criteria.searchText && !this._matchesText(record, criteria.searchText)) return false;
+
+    if (criteria.myRole) {
+      // Without a known user there is nothing to match, so no contract is "mine"
+      const emails = this.roleEmailKeys[criteria.myRole];
+      if (!this.userEmail || !emails.some(key => String(record[key] || '').trim().toLowerCase() === this.userEmail)) return false;
+    }
+
+    const multiSelect = this.multiSelectFields;
+    for (const field in multiSelect) {
+      const selected = criteria[field];
+      if (selected && selected.length > 0 && !this._recordValues(record, multiSelect[field]).some(value => selected.indexOf(value) >= 0)) {
+        return false;
+      }
+    }
+
+    const dateRange = criteria.dateRange;
+    if (dateRange && (dateRange.start || dateRange.end)) {
+      const date = DateUtils.parseDate(record[this.dateFields[dateRange.field]]);
+      if (!date) return false;
+      if (dateRange.start && date < dateRange.start) return false;
+      if (dateRange.end && date > dateRange.end) return false;
+    }
+
+    const financialRange = criteria.financialRange;
+    if (financialRange && (financialRange.min !== null || financialRange.max !== null)) {
+      const amount = CurrencyUtils.parseCurrency(record[this.financialFields[financialRange.field]]);
+      if (financialRange.min !== null && amount < financialRange.min) return false;
+      if (financialRange.max !== null && amount > financialRange.max) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Lower-cased search text, refusing the client's query syntax rather than
+   * matching it literally and disagreeing with the browser
+   * @private
+   */
+  _plainSearchText(text) {
+    const search = String(text || '').trim();
+    const words = search.split(/\s+/);
+    const isQueryWord = word => word === 'OR' || word === 'NOT' || word === '|' ||
+      (word.length > 1 && word.charAt(0) === '-') ||
+      FilterController.QUERY_FIELDS.some(field => new RegExp('^' + field + '(>=|<=|:|=|>|<)', 'i').test(word));
+    if (search.indexOf('"') >= 0 || words.some(isQueryWord)) {
+      throw new Error('Search query syntax is only supported in the browser; send plain text or the matching awards');
+    }
+    return search.toLowerCase();
+  }
+
+  /**
+   * @private
+   */
+  _matchesText(record, term) {
+    return this.searchKeys.some(key => String(record[key] || '').toLowerCase().indexOf(term) >= 0);
+  }
+
+  /**
+   * Values a record holds for a multi-select field, without duplicates
+   * @private
+   */
+  _recordValues(record, definition) {
+    const values = [];
+    definition.keys.forEach((key, i) => {
+      const value = record[key];
+      if (value === '' || value === null || value === undefined) return;
+      const parts = definition.split ? String(value).split(definition.split).map(part => part.trim()) : [String(value)];
+      parts.forEach(part => {
+        let text = part;
+        if (definition.labels) {
+          if (!this._isSet(part)) return;
+          text = definition.labels[i];
+        } else if (definition.prefixes) {
+          text = definition.prefixes[i] + part;
+        }
+        if (text !== '' && values.indexOf(text) < 0) values.push(text);
+      });
+    });
+    return values;
+  }
+
+  /**
+   * Whether a flag cell marks the contract (anything but blank, N, No, False, 0)
+   * @private
+   */
+  _isSet(value) {
+    return ['', 'n', 'no', 'false', '0', 'n/a', 'none'].indexOf(String(value).trim().toLowerCase()) < 0;
+  }
+
+  /**
+   * @private
+   */
+  _sortValue(record, sortColumn) {
+    let raw = '';
+    for (const key of sortColumn.keys) {
+      if (record[key] !== '' && record[key] !== null && record[key] !== undefined) {
+        raw = record[key];
+        break;
+      }
+    }
+    if (sortColumn.type === 'currency') return CurrencyUtils.parseCurrency(raw);
+    if (sortColumn.type === 'date') {
+      const date = DateUtils.parseDate(raw);
+      return date ? date.getTime() : 0;
+    }
+    return String(raw);
+  }
+
+  /**
+   * @private
+   */
+  _compare(a, b, type) {
+    if (type === 'currency' || type === 'date') return a - b;
+    return a.localeCompare(b);
   }
-  initializeFilters(data) { this.originalData = data || []; this.filteredData = data || []; }
-  applyTextSearch(term) { return this.filteredData; }
-  applyDateRangeFilter(start, end, field) { return this.filteredData; }
-  applyMultiSelectFilter(field, values) { return this.filteredData; }
-  clearAllFilters() { this.filteredData = this.originalData.slice(); }
-  getFilteredData() { return this.filteredData; }
-  getActiveFilterSummary() { return {}; }
-  getUniqueValues(field) { return []; }
 }
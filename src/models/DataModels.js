@@ -16,6 +16,8 @@
  * @typedef {Object} ContractData
  * @property {string} award - Award number/identifier
  * @property {string} project - Project identifier
+ * @property {string} title - Award title
+ * @property {string} projectTitle - Project title
  * @property {string} solicitation - Solicitation number
  * @property {string} acquisition - Acquisition identifier
  * @property {number} ceiling - Contract ceiling value
@@ -28,8 +30,11 @@
  * @property {Date} awardDate - Contract award date
  * @property {Date} projectStart - Project start date
  * @property {Date} projectEnd - Project end date
- * @property {Date} [completionDate] - Actual completion date (optional)
+ * @property {Date} [completionDate] - Estimated ultimate completion date (optional)
  * @property {string} clientBureau - Client bureau/organization
+ * @property {string} clientOrganization - Client organization within the bureau
+ * @property {string} apexName - APEX portfolio name
+ * @property {string} orgShortName - Owning employee organization short name
  * @property {string} orgCode - Organization code
  * @property {string} sector - Business sector
  * @property {string} contractType - Type of contract
@@ -37,28 +42,132 @@
  * @property {string} competitionType - Competition type
  * @property {string} commerciality - Commerciality classification
  * @property {string[]} flags - Array of contract flags
+ * @property {string} vendorUei - Awardee Unique Entity ID
+ * @property {string} incumbent - Incumbent vendor name
+ * @property {string[]} scopeTags - Scope tags describing the work
+ * @property {string} referencedIdv - Parent IDV number for task and delivery orders
+ * @property {string} referencedIdvFamily - Contract vehicle family of the parent IDV
+ * @property {string} instrument - Instrument type code
+ * @property {string} instrumentDescription - Instrument type, e.g. "Delivery/Task Order against a MA-IDC"
+ * @property {string} awardFiscalYear - Fiscal year of award as shown in the extract (e.g. FY25)
+ * @property {string} intelFlag - Intel program flag
+ * @property {string} sbirFlag - SBIR program flag
+ * @property {string} oasisPool - OASIS pool
+ * @property {string} oasisSbPool - OASIS small business pool
+ * @property {string} astroPool - ASTRO pool
  * @property {string} securityLevel - Security classification level
  * @property {Date} lastModified - Last modification timestamp
  * @property {string} modificationStatus - Modification status
  */
 
+/**
+ * @typedef {Object} ColumnMappingEntry
+ * @property {string} key - Stable column key shipped to the client (e.g. 'CEILING')
+ * @property {string|null} field - ContractData path the column feeds (e.g. 'projectManager.email')
+ * @property {'string'|'number'|'currency'|'date'|'flags'} [type] - How the value is parsed (default 'string')
+ * @property {string[]} headers - Accepted source header spellings, first match wins
+ * @property {boolean} load - Whether the column is included in the dashboard payload
+ */
+
+/**
+ * @typedef {Object} ColumnMapping
+ * @property {string} sheetName - Source sheet name
+ * @property {number} headerRow - 1-based row holding the headers
+ * @property {number} dataStartRow - 1-based first data row
+ * @property {string[]} emptyRowKeys - Rows blank in all of these columns are skipped
+ * @property {ColumnMappingEntry[]} columns - Column definitions
+ */
+
 /**
  * @typedef {Object} FilterCriteria
  * @property {string} [searchText] - Text search term
  * @property {Object} [dateRange] - Date range filter
  * @property {Date} dateRange.startDate - Start date of range
  * @property {Date} dateRange.endDate - End date of range
- * @property {'awardDate'|'projectStart'|'projectEnd'} dateRange.field - Date field to filter on
+ * @property {'awardDate'|'projectStart'|'projectEnd'|'completion'} dateRange.field - Date field to filter on
+ * @property {string} [dateRange.preset] - Named range (FY26, FY26Q2, thisfy, next120d...) that overrides the dates
  * @property {string[]} [status] - Array of contract statuses to filter by
  * @property {string[]} [organizations] - Array of organizations to filter by
  * @property {string[]} [contractTypes] - Array of contract types to filter by
  * @property {string[]} [personnel] - Array of personnel names to filter by
+ * @property {'any'|'PM'|'CO'|'CS'} [myRole] - Only contracts where the signed-in user holds this role
+ * @property {string[]} [flags] - FLAGS entries to filter by
+ * @property {string[]} [competitionTypes] - Competition types to filter by
+ * @property {string[]} [commerciality] - Commerciality classifications to filter by
+ * @property {string[]} [awardFiscalYears] - Award fiscal years to filter by (e.g. FY25)
+ * @property {string[]} [programs] - Program flags to filter by ('Intel', 'SBIR')
+ * @property {string[]} [vehiclePools] - Contract vehicle pools to filter by (e.g. 'OASIS: Pool 1')
+ * @property {string[]} [awards] - Array of award numbers to filter by
  * @property {Object} [financialRange] - Financial range filter
  * @property {number} financialRange.min - Minimum value
  * @property {number} financialRange.max - Maximum value
  * @property {'ceiling'|'awardValue'} financialRange.field - Financial field to filter on
  */
 
+/**
+ * @typedef {Object} ContractQueryResult
+ * @property {boolean} success - Whether the query ran
+ * @property {string} hash - Dataset version the rows came from
+ * @property {Object[]} rows - Raw-key contract records on the requested page
+ * @property {number} total - Records matching the criteria
+ * @property {number} page - 1-based page returned (clamped to totalPages)
+ * @property {number} pageSize - Rows per page
+ * @property {number} totalPages - Page count, at least 1
+ * @property {string|null} sortColumn - Applied sort column
+ * @property {'asc'|'desc'} sortDirection - Applied sort direction
+ * @property {Object<string, Object<string, number>>|null} facets - Match counts per facet value, each facet ignoring its own selection
+ */
+
+/**
+ * @typedef {Object} ContractDetail
+ * @property {string} key - Requested AWARD or AWARD#n
+ * @property {number} rowNumber - 1-based sheet row
+ * @property {number} duplicates - Rows sharing the award
+ * @property {string} award - Award number
+ * @property {string} title - Award title (project title when blank)
+ * @property {string} status - Award status
+ * @property {Object[]} sections - { id, title, fields: { label, key, type, value }[] } covering every sheet column
+ * @property {Object[]} personnel - { role, name, email } for each named person
+ * @property {Object} timeline - { milestones, completionStatus, health } from Timeline_Tracker, dates as yyyy-MM-dd
+ * @property {RiskAssessment[]} risks - FinancialAnalyzer risks for this contract
+ * @property {ContractForecast|null} runway - BurnRateForecaster ceiling runway, null without dates or ceiling
+ */
+
+/**
+ * @typedef {Object} ContractForecast
+ * @property {string} contractId - Award number
+ * @property {string} title - Award title (project title when blank)
+ * @property {string} clientBureau - Client bureau
+ * @property {string} contractStatus - Award status
+ * @property {number} ceiling - CEILING
+ * @property {number} basisValue - Value burned over the period of performance
+ * @property {string} burnBasis - 'IGE', or 'CEILING' when the IGE is blank
+ * @property {number} monthlyBurn - Estimated burn per month
+ * @property {string} projectStart - yyyy-MM-dd
+ * @property {string} projectEnd - yyyy-MM-dd
+ * @property {string|null} completionDate - Estimated ultimate completion, yyyy-MM-dd
+ * @property {number} consumedToDate - Estimated burn through today
+ * @property {number} percentConsumed - consumedToDate as a percentage of the ceiling
+ * @property {number} monthsRemaining - Months until the ceiling is used up at the monthly burn
+ * @property {Object[]} thresholds - { percent, date, reached } for 80%, 90% and 100% of ceiling; date is null past the projection limit
+ * @property {string|null} runOutDate - Projected day the ceiling is used up, yyyy-MM-dd; null past the projection limit
+ * @property {boolean} beyondHorizon - Ceiling not reached within maxHorizonYears of the later of end and completion
+ * @property {boolean} exhaustsBeforeEnd - Ceiling projected to run out before PROJECT_END
+ * @property {boolean} exhaustsBeforeCompletion - Runs out after PROJECT_END but before the estimated ultimate completion
+ * @property {boolean} inPerformance - Today falls between project start and the later of end and completion
+ * @property {string} runwayStatus - BurnRateForecaster.STATUS value
+ */
+
+/**
+ * @typedef {Object} RunwayReport
+ * @property {string} asOf - Day the forecasts are measured from, yyyy-MM-dd
+ * @property {ContractForecast[]} forecasts - Contracts in performance, fewest months remaining first
+ * @property {number} contractsEvaluated - Contracts matching the filters
+ * @property {number} unforecastable - Contracts without a ceiling or a valid period of performance
+ * @property {number} outOfPerformance - Contracts not yet started or past completion
+ * @property {Object<string, number>} byStatus - Forecast count per runway status
+ */
+
 /**
  * @typedef {Object} FinancialSummary
  * @property {number} totalContractValue - Total value of all contracts
@@ -155,6 +264,41 @@
  * @property {string} description - Risk description
  * @property {Date} identifiedDate - When risk was identified
  * @property {string[]} recommendedActions - Recommended mitigation actions
+ * @property {Object} [metrics] - Figures behind the risk, e.g. utilizationRate, daysRemaining
+ */
+
+/**
+ * @typedef {Object} FinancialRiskReport
+ * @property {Object[]} risks - RiskAssessment entries with identifiedDate as an ISO string,
+ *   plus contractTitle and contractStatus, highest severity first
+ * @property {Object<string, number>} bySeverity - Risk count per severity
+ * @property {Object<string, number>} byType - Risk count per riskType
+ * @property {number} contractsEvaluated - Contracts matching the filters
+ * @property {number} contractsAtRisk - Distinct contracts with at least one risk
+ */
+
+/**
+ * @typedef {Object} FiscalAllocationReport
+ * @property {number} fiscalYear - Reported fiscal year, e.g. 2026
+ * @property {string} basis - Value prorated: 'awardValue' (IGE) or 'ceiling'
+ * @property {number} totalAllocation - Value falling in the fiscal year
+ * @property {number} outYearTotal - Value falling in later fiscal years
+ * @property {number} contractCount - Contracts with value in the fiscal year
+ * @property {Object} undated - { count, value } of contracts without a period of performance
+ * @property {Object[]} contracts - { contractId, title, clientBureau, apexName, totalValue, allocation, percentage }
+ * @property {Object[]} byBureau - { name, allocation, contractCount } per Client_Bureau
+ * @property {Object[]} byApex - { name, allocation, contractCount } per APEXNAME
+ * @property {Object} outYears - { labels, series: { name, values }[] } commitments per bureau from the fiscal year on
+ */
+
+/**
+ * @typedef {Object} SpendingAnalysis
+ * @property {string} groupBy - 'organization', 'sector', 'contractType' or 'time'
+ * @property {string} timePeriod - 'month', 'quarter' or 'year'
+ * @property {number} totalSpending - IGE of all contracts
+ * @property {Object[]} groupedData - { name, totalSpending, contractCount, averageContractValue, contracts, cells } per group
+ * @property {string[]} periods - Award-date period keys in order, then 'Undated' when any contract has no award date
+ * @property {Object[]} trends - { period, totalSpending, contractCount } per dated period
  */
 
 /**
@@ -166,6 +310,43 @@
  * @property {string} dataPoints[].category - Category or grouping
  */
 
+/**
+ * Filter controls captured by a saved view
+ * @typedef {Object} FilterViewState
+ * @property {string} searchText - Search box text
+ * @property {string[]} status - Selected statuses
+ * @property {string[]} organizations - Selected organizations
+ * @property {string[]} contractTypes - Selected contract types
+ * @property {string[]} personnel - Selected PM, CO or CS names
+ * @property {string} myRole - '' for all contracts, or 'any', 'PM', 'CO', 'CS' for the user's own
+ * @property {string[]} flags - Selected FLAGS entries
+ * @property {string[]} competitionTypes - Selected competition types
+ * @property {string[]} commerciality - Selected commerciality classifications
+ * @property {string[]} awardFiscalYears - Selected award fiscal years
+ * @property {string[]} programs - Selected program flags (Intel, SBIR)
+ * @property {string[]} vehiclePools - Selected OASIS/ASTRO pools
+ * @property {'awardDate'|'projectStart'|'projectEnd'|'completion'} dateField - Date field for the range
+ * @property {string} dateStart - Range start (yyyy-MM-dd) or ''
+ * @property {string} dateEnd - Range end (yyyy-MM-dd) or ''
+ * @property {string} datePreset - Preset the range came from (resolved again on load) or ''
+ * @property {'ceiling'|'awardValue'} financialField - Financial field for the range
+ * @property {string} financialMin - Minimum value or ''
+ * @property {string} financialMax - Maximum value or ''
+ * @property {string|null} sortColumn - Table sort column
+ * @property {'asc'|'desc'} sortDirection - Table sort direction
+ * @property {number} pageSize - Table rows per page
+ */
+
+/**
+ * Named filter view stored per user
+ * @typedef {Object} SavedView
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name
+ * @property {FilterViewState} state - Captured filter controls
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp
+ */
+
 /**
  * Contract status enumeration
  * @readonly
@@ -0,0 +1,179 @@
+/**
+ * BurnRateForecaster - Projects when contracts run through their ceiling
+ * AL_Extract has no obligation or spend columns, so the burn is an estimate:
+ * the IGE (or the CEILING when there is no IGE) spread evenly over the period
+ * of performance. The burn continues past PROJECT_END to the estimated
+ * ultimate completion, which is when unexercised options would run.
+ * Projections stop maxHorizonYears past that completion; a ceiling the burn
+ * would not reach by then gets null dates and is flagged beyondHorizon.
+ */
+
+/**
+ * BurnRateForecaster class for ceiling runway projections
+ */
+class BurnRateForecaster {
+  /**
+   * Runway statuses, most urgent first
+   * @returns {Object<string, string>}
+   */
+  static get STATUS() {
+    return {
+      EXHAUSTED: 'EXHAUSTED',
+      EXHAUSTS_BEFORE_END: 'EXHAUSTS_BEFORE_END',
+      EXHAUSTS_BEFORE_COMPLETION: 'EXHAUSTS_BEFORE_COMPLETION',
+      OK: 'OK'
+    };
+  }
+
+  constructor() {
+    this.thresholds = [80, 90, 100]; // Percent of ceiling with a projected date
+    this.daysPerMonth = 30.4375;
+    this.maxHorizonYears = 10; // Furthest a date is projected past end or completion
+    this.dayMs = 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Project one contract's burn and the dates it reaches each ceiling threshold
+   * @param {ContractData} contract - Normalized contract
+   * @param {Date} [asOf] - Day to measure from (defaults to today)
+   * @returns {ContractForecast|null} Forecast with dates as 'yyyy-MM-dd' (null past
+   *   the projection limit), or null without a ceiling and a project start before
+   *   its project end
+   */
+  forecastContract(contract, asOf = new Date()) {
+    const start = this._day(contract && contract.projectStart);
+    const end = this._day(contract && contract.projectEnd);
+    const ceiling = Number(contract && contract.ceiling) || 0;
+    if (!start || !end || end <= start || ceiling <= 0) return null;
+
+    const ige = Number(contract.awardValue) || 0;
+    const basisValue = ige > 0 ? ige : ceiling;
+    const popDays = this._daysBetween(start, end) + 1;
+    const dailyBurn = basisValue / popDays;
+
+    const completion = this._day(contract.completionDate);
+    const horizon = completion && completion > end ? completion : end;
+    const today = this._day(asOf);
+    const horizonDays = this._daysBetween(start, horizon) + 1;
+    // Burned through the end of today
+    const elapsedDays = Math.min(Math.max(this._daysBetween(start, today) + 1, 0), horizonDays);
+    const consumed = dailyBurn * elapsedDays;
+    const limit = new Date(horizon.getFullYear() + this.maxHorizonYears, horizon.getMonth(), horizon.getDate());
+
+    const thresholds = this.thresholds.map(percent => {
+      const date = this._dayReaching(start, (percent / 100) * ceiling, dailyBurn, limit);
+      return { percent: percent, date: date ? this._isoDay(date) : null, reached: consumed >= (percent / 100) * ceiling };
+    });
+    const runOut = this._dayReaching(start, ceiling, dailyBurn, limit);
+    const exhaustsBeforeEnd = !!runOut && runOut < end;
+    const exhaustsBeforeCompletion = !!runOut && !exhaustsBeforeEnd && horizon > end && runOut < horizon;
+
+    let status = BurnRateForecaster.STATUS.OK;
+    if (consumed >= ceiling) status = BurnRateForecaster.STATUS.EXHAUSTED;
+    else if (exhaustsBeforeEnd) status = BurnRateForecaster.STATUS.EXHAUSTS_BEFORE_END;
+    else if (exhaustsBeforeCompletion) status = BurnRateForecaster.STATUS.EXHAUSTS_BEFORE_COMPLETION;
+
+    return {
+      contractId: contract.award,
+      title: contract.title || contract.projectTitle || '',
+      clientBureau: contract.clientBureau || '',
+      contractStatus: contract.status || '',
+      ceiling: ceiling,
+      basisValue: basisValue,
+      burnBasis: ige > 0 ? 'IGE' : 'CEILING',
+      monthlyBurn: dailyBurn * this.daysPerMonth,
+      projectStart: this._isoDay(start),
+      projectEnd: this._isoDay(end),
+      completionDate: completion ? this._isoDay(completion) : null,
+      consumedToDate: consumed,
+      percentConsumed: consumed / ceiling * 100,
+      monthsRemaining: Math.max(ceiling - consumed, 0) / dailyBurn / this.daysPerMonth,
+      thresholds: thresholds,
+      runOutDate: runOut ? this._isoDay(runOut) : null,
+      beyondHorizon: !runOut,
+      exhaustsBeforeEnd: exhaustsBeforeEnd,
+      exhaustsBeforeCompletion: exhaustsBeforeCompletion,
+      inPerformance: today >= start && today <= horizon,
+      runwayStatus: status
+    };
+  }
+
+  /**
+   * Runway for every contract still in performance, shortest first
+   * @param {ContractData[]} contracts - Normalized contracts
+   * @param {Object} [options] - { asOf: Date }
+   * @returns {RunwayReport} Forecasts and counts
+   */
+  buildRunwayReport(contracts, options = {}) {
+    const asOf = options.asOf || new Date();
+    const forecasts = [];
+    let unforecastable = 0;
+    let outOfPerformance = 0;
+
+    for (const contract of contracts || []) {
+      const forecast = this.forecastContract(contract, asOf);
+      if (!forecast) {
+        unforecastable++;
+      } else if (!forecast.inPerformance) {
+        outOfPerformance++;
+      } else {
+        forecasts.push(forecast);
+      }
+    }
+
+    forecasts.sort((a, b) => a.monthsRemaining - b.monthsRemaining);
+    const count = status => forecasts.filter(forecast => forecast.runwayStatus === status).length;
+
+    return {
+      asOf: this._isoDay(this._day(asOf)),
+      forecasts: forecasts,
+      contractsEvaluated: (contracts || []).length,
+      unforecastable: unforecastable,
+      outOfPerformance: outOfPerformance,
+      byStatus: Object.keys(BurnRateForecaster.STATUS).reduce((counts, status) => {
+        counts[status] = count(status);
+        return counts;
+      }, {})
+    };
+  }
+
+  // Private helper methods
+
+  /**
+   * Local midnight of a date, or null when it is not a valid date
+   * @private
+   */
+  _day(value) {
+    if (!value) return null;
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) return null;
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  /**
+   * Whole days from one local midnight to another; rounding absorbs DST shifts
+   * @private
+   */
+  _daysBetween(from, to) {
+    return Math.round((to - from) / this.dayMs);
+  }
+
+  /**
+   * Day on which the burn since start reaches an amount, or null after the limit
+   * @private
+   */
+  _dayReaching(start, amount, dailyBurn, limit) {
+    const days = Math.max(Math.ceil(amount / dailyBurn - 1e-9), 1);
+    if (!isFinite(days) || days - 1 > this._daysBetween(start, limit)) return null;
+    return new Date(start.getFullYear(), start.getMonth(), start.getDate() + days - 1);
+  }
+
+  /**
+   * 'yyyy-MM-dd' in the script's time zone; google.script.run cannot return Dates
+   * @private
+   */
+  _isoDay(date) {
+    return date.getFullYear() + '-' + String(date.getMonth() + 1).padStart(2, '0') + '-' +
+      String(date.getDate()).padStart(2, '0');
+  }
+}
@@ -1,17 +1,290 @@
 /**
- * CachingService - Stub for GAS server-side compatibility
- * Uses GAS CacheService in Code.js directly instead
+ * CachingService - Single entry point for server-side caching
+ * Wraps the GAS script cache with namespaced keys tied to the dataset
+ * version, gzip compression, chunking for values over the 100KB
+ * per-entry limit, TTL policies and hit/miss/eviction stats
  */
 class CachingService {
-  constructor() {
-    this.memoryCache = new Map();
-    this.stats = { hits: 0, misses: 0, sets: 0, evictions: 0, totalSize: 0 };
-  }
-  get(key) { return this.memoryCache.has(key) ? this.memoryCache.get(key) : null; }
-  set(key, data) { this.memoryCache.set(key, data); this.stats.sets++; }
-  delete(key) { this.memoryCache.delete(key); }
-  clear() { this.memoryCache.clear(); }
-  getStats() { return { ...this.stats, hitRate: '0%', memoryEntries: this.memoryCache.size }; }
-  createContractDataKey(id, sheet) { return id + '_' + sheet; }
-  getOrSet(key, loader, options) { var d = this.get(key); if (d) return d; return loader(); }
+  /**
+   * TTL in seconds per namespace (CacheService caps TTL at 6 hours)
+   * @returns {Object<string, number>}
+   */
+  static get TTL_POLICIES() {
+    return {
+      bulk: 21600,
+      page: 21600,
+      fingerprints: 21600,
+      quality: 21600,
+      metadata: 3600,
+      detail: 3600,
+      default: 600
+    };
+  }
+
+  /**
+   * @param {Cache} [cache] - Cache to wrap (defaults to the script cache)
+   */
+  constructor(cache) {
+    this.cache = cache || CacheService.getScriptCache();
+    this.maxEntrySize = 90000; // Stays under the 100KB limit with key overhead
+    this.compressThreshold = 10000; // Smaller values are stored as plain JSON
+    this.statsKey = 'caching_service_stats';
+    this.stats = this._emptyStats();
+  }
+
+  /**
+   * Build a namespaced cache key
+   * @param {string} namespace - Cache namespace (see TTL_POLICIES)
+   * @param {string} name - Entry name within the namespace
+   * @param {string} [version] - Dataset version the value was built from
+   * @returns {string} Cache key
+   */
+  buildKey(namespace, name, version) {
+    const key = [namespace, version || 'static', name].join(':');
+    if (key.length <= 240) return key;
+    // CacheService keys are limited to 250 characters
+    return namespace + ':' + Utilities.base64EncodeWebSafe(
+      Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, key));
+  }
+
+  /**
+   * Read a cached value
+   * @param {string} namespace - Cache namespace
+   * @param {string} name - Entry name
+   * @param {Object} [options] - { version }
+   * @returns {*} Cached value, or null on a miss
+   */
+  get(namespace, name, options = {}) {
+    const key = this.buildKey(namespace, name, options.version);
+    let value = null;
+
+    try {
+      const envelopeStr = this.cache.get(key);
+      if (envelopeStr) {
+        value = this._readEnvelope(key, JSON.parse(envelopeStr), namespace);
+      }
+    } catch (error) {
+      console.error('Cache read failed for', key, error);
+      this.stats.errors++;
+      value = null;
+    }
+
+    this._count(namespace, value === null ? 'misses' : 'hits');
+    return value;
+  }
+
+  /**
+   * Store a value, compressing and chunking it as needed
+   * @param {string} namespace - Cache namespace
+   * @param {string} name - Entry name
+   * @param {*} value - JSON-serialisable value
+   * @param {Object} [options] - { version, ttl }
+   * @returns {boolean} True when stored
+   */
+  set(namespace, name, value, options = {}) {
+    const key = this.buildKey(namespace, name, options.version);
+    const ttl = Math.min(options.ttl || this.getTTL(namespace), 21600);
+
+    try {
+      const json = JSON.stringify(value);
+      const entries = {};
+      let envelope;
+
+      if (json.length < this.compressThreshold) {
+        envelope = { v: value };
+      } else {
+        const compressed = Utilities.base64Encode(Utilities.gzip(Utilities.newBlob(json)));
+        if (compressed.length <= this.maxEntrySize) {
+          envelope = { z: compressed };
+        } else {
+          let count = 0;
+          for (let i = 0; i < compressed.length; i += this.maxEntrySize) {
+            entries[key + ':' + count] = compressed.substring(i, i + this.maxEntrySize);
+            count++;
+          }
+          envelope = { n: count };
+        }
+        this.stats.bytesWritten += compressed.length;
+      }
+
+      entries[key] = JSON.stringify(envelope);
+      this.cache.putAll(entries, ttl);
+      this._count(namespace, 'sets');
+      return true;
+
+    } catch (error) {
+      console.error('Cache write failed for', key, error);
+      this.stats.errors++;
+      return false;
+    }
+  }
+
+  /**
+   * Return the cached value, or compute, store and return it
+   * @param {string} namespace - Cache namespace
+   * @param {string} name - Entry name
+   * @param {Function} loader - Produces the value on a miss
+   * @param {Object} [options] - { version, ttl }
+   * @returns {*} Value
+   */
+  getOrSet(namespace, name, loader, options = {}) {
+    const cached = this.get(namespace, name, options);
+    if (cached !== null) return cached;
+
+    const value = loader();
+    if (value !== null && value !== undefined) {
+      this.set(namespace, name, value, options);
+    }
+    return value;
+  }
+
+  /**
+   * Remove a cached value and its chunks
+   * @param {string} namespace - Cache namespace
+   * @param {string} name - Entry name
+   * @param {Object} [options] - { version }
+   */
+  remove(namespace, name, options = {}) {
+    const key = this.buildKey(namespace, name, options.version);
+    try {
+      const envelopeStr = this.cache.get(key);
+      const envelope = envelopeStr ? JSON.parse(envelopeStr) : {};
+      this.cache.removeAll([key].concat(this._chunkKeys(key, envelope.n || 0)));
+    } catch (error) {
+      console.error('Cache remove failed for', key, error);
+    }
+  }
+
+  /**
+   * TTL for a namespace
+   * @param {string} namespace - Cache namespace
+   * @returns {number} TTL in seconds
+   */
+  getTTL(namespace) {
+    const policies = CachingService.TTL_POLICIES;
+    return policies[namespace] || policies.default;
+  }
+
+  /**
+   * Stats accumulated across executions since the last reset
+   * Counters from concurrent executions can overwrite each other, so treat
+   * them as approximate
+   * @returns {Object} { hits, misses, sets, evictions, errors, bytesWritten, hitRate, namespaces, since }
+   */
+  getStats() {
+    const stats = this._loadStats();
+    const lookups = stats.hits + stats.misses;
+    return Object.assign({}, stats, {
+      hitRate: lookups > 0 ? (stats.hits / lookups * 100).toFixed(1) + '%' : '0%'
+    });
+  }
+
+  /**
+   * Add the counts from this execution to the persisted stats
+   * Counting happens in memory; endpoints call this once on the way out so a
+   * request costs one extra cache read and write, not two per operation
+   */
+  flushStats() {
+    if (!this._hasPendingStats()) return;
+    try {
+      const merged = this._loadStats();
+      this.cache.put(this.statsKey, JSON.stringify(merged), 21600);
+      this.stats = this._emptyStats();
+    } catch (error) {
+      console.warn('Failed to persist cache stats:', error);
+    }
+  }
+
+  /**
+   * Clear the persisted stats
+   */
+  resetStats() {
+    this.stats = this._emptyStats();
+    this.cache.remove(this.statsKey);
+  }
+
+  // Private helper methods
+
+  /**
+   * Decode a stored envelope; a missing chunk counts as an eviction
+   * @private
+   */
+  _readEnvelope(key, envelope, namespace) {
+    if (envelope.v !== undefined) return envelope.v;
+
+    let compressed = envelope.z;
+    if (envelope.n) {
+      const chunkKeys = this._chunkKeys(key, envelope.n);
+      const chunks = this.cache.getAll(chunkKeys);
+      if (chunkKeys.some(chunkKey => !chunks[chunkKey])) {
+        console.warn('Cache entry', key, 'lost chunks, dropping it');
+        this._count(namespace, 'evictions');
+        this.cache.removeAll([key].concat(chunkKeys));
+        return null;
+      }
+      compressed = chunkKeys.map(chunkKey => chunks[chunkKey]).join('');
+    }
+
+    const blob = Utilities.ungzip(Utilities.newBlob(Utilities.base64Decode(compressed), 'application/x-gzip'));
+    return JSON.parse(blob.getDataAsString());
+  }
+
+  /**
+   * @private
+   */
+  _chunkKeys(key, count) {
+    const keys = [];
+    for (let i = 0; i < count; i++) keys.push(key + ':' + i);
+    return keys;
+  }
+
+  /**
+   * @private
+   */
+  _count(namespace, counter) {
+    this.stats[counter]++;
+    if (!this.stats.namespaces[namespace]) {
+      this.stats.namespaces[namespace] = { hits: 0, misses: 0, sets: 0, evictions: 0 };
+    }
+    this.stats.namespaces[namespace][counter]++;
+  }
+
+  /**
+   * @private
+   */
+  _emptyStats() {
+    return { hits: 0, misses: 0, sets: 0, evictions: 0, errors: 0, bytesWritten: 0, namespaces: {}, since: new Date().toISOString() };
+  }
+
+  /**
+   * Persisted stats merged with the counts not yet flushed
+   * @private
+   */
+  _loadStats() {
+    let stored = null;
+    try {
+      stored = JSON.parse(this.cache.get(this.statsKey) || 'null');
+    } catch (error) {
+      stored = null;
+    }
+    const merged = stored || this._emptyStats();
+    ['hits', 'misses', 'sets', 'evictions', 'errors', 'bytesWritten'].forEach(counter => {
+      merged[counter] = (merged[counter] || 0) + this.stats[counter];
+    });
+    Object.keys(this.stats.namespaces).forEach(namespace => {
+      const target = merged.namespaces[namespace] || (merged.namespaces[namespace] = { hits: 0, misses: 0, sets: 0, evictions: 0 });
+      Object.keys(target).forEach(counter => {
+        target[counter] += this.stats.namespaces[namespace][counter];
+      });
+    });
+    return merged;
+  }
+
+  /**
+   * Whether this execution has counted anything not yet flushed
+   * @private
+   */
+  _hasPendingStats() {
+    return ['hits', 'misses', 'sets', 'evictions', 'errors', 'bytesWritten'].some(counter => this.stats[counter] > 0);
+  }
 }
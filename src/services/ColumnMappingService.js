@@ -0,0 +1,338 @@
+/**
+ * ColumnMappingService - Maps AL_Extract source headers to dashboard fields
+ * Keeps the sheet layout and column list in one configuration so quarterly
+ * extract changes need a mapping update instead of code edits
+ */
+
+/**
+ * Value types a mapped column can declare
+ * @readonly
+ * @type {string[]}
+ */
+const COLUMN_TYPES = ['string', 'number', 'currency', 'date', 'flags'];
+
+/**
+ * Default column mapping used when no override is configured.
+ * `key` is the stable name shipped to the client, `field` is the ContractData
+ * path it feeds, `type` controls how DataService parses it, `headers` lists
+ * accepted source header spellings (first match wins) and `load` marks columns
+ * included in the dashboard payload.
+ * @type {ColumnMapping}
+ */
+const DEFAULT_COLUMN_MAPPING = {
+  sheetName: 'AL_Extract',
+  headerRow: 2,
+  dataStartRow: 3,
+  emptyRowKeys: ['AWARD_STATUS', 'APEXNAME'],
+  columns: [
+    { key: 'AWARD_STATUS', field: 'status', type: 'string', headers: ['AWARD_STATUS'], load: true },
+    { key: 'APEXNAME', field: 'apexName', type: 'string', headers: ['APEXNAME'], load: true },
+    { key: 'EMP_ORG_SHORT_NAME', field: 'orgShortName', type: 'string', headers: ['EMP_ORG_SHORT_NAME'], load: true },
+    { key: 'AWARD_TITLE', field: 'title', type: 'string', headers: ['AWARD_TITLE'], load: true },
+    { key: 'AWARD', field: 'award', type: 'string', headers: ['AWARD'], load: true },
+    { key: 'PROJECT', field: 'project', type: 'string', headers: ['PROJECT'], load: true },
+    { key: 'CONTRACT_TYPE', field: 'contractType', type: 'string', headers: ['CONTRACT_TYPE'], load: true },
+    { key: 'CEILING', field: 'ceiling', type: 'currency', headers: ['CEILING'], load: true },
+    { key: 'PM', field: 'projectManager.name', type: 'string', headers: ['PM', 'PM1 Name'], load: true },
+    { key: 'CO', field: 'contractingOfficer.name', type: 'string', headers: ['CO', 'CO1 Name'], load: true },
+    { key: 'CS', field: 'contractSpecialist.name', type: 'string', headers: ['CS', 'CS1 Name'], load: true },
+    { key: 'PROJECT_TITLE', field: 'projectTitle', type: 'string', headers: ['PROJECT_TITLE'], load: true },
+    { key: 'PROJECT_START', field: 'projectStart', type: 'date', headers: ['PROJECT_START'], load: true },
+    { key: 'PROJECT_END', field: 'projectEnd', type: 'date', headers: ['PROJECT_END'], load: true },
+    { key: 'Client_Bureau', field: 'clientBureau', type: 'string', headers: ['Client_Bureau'], load: true },
+    { key: 'client_organization', field: 'clientOrganization', type: 'string', headers: ['client_organization'], load: true },
+    { key: 'FLAGS', field: 'flags', type: 'flags', headers: ['FLAGS'], load: true },
+    { key: 'Mod_Status', field: 'modificationStatus', type: 'string', headers: ['Mod_Status'], load: true },
+    { key: 'IGE', field: 'awardValue', type: 'currency', headers: ['IGE'], load: true },
+    { key: 'SOLICITATION', field: 'solicitation', type: 'string', headers: ['SOLICITATION'], load: false },
+    { key: 'ACQUISITION', field: 'acquisition', type: 'string', headers: ['ACQUISITION'], load: false },
+    { key: 'AWARD_DATE', field: 'awardDate', type: 'date', headers: ['Day of AWARD_DATE_CO', 'AWARD_DATE_CO', 'AWARD_DATE'], load: true },
+    { key: 'EST_ULTIMATE_COMPLETION', field: 'completionDate', type: 'date', headers: ['EST_ULTIMATE_COMPLETION'], load: true },
+    { key: 'RECENT_MOD', field: 'lastModified', type: 'date', headers: ['RECENT_MOD'], load: false },
+    { key: 'ORGCODE', field: 'orgCode', type: 'string', headers: ['ORGCODE'], load: false },
+    { key: 'SECTOR', field: 'sector', type: 'string', headers: ['lfedsim_sector_friendly'], load: true },
+    { key: 'COMPETITION_TYPE', field: 'competitionType', type: 'string', headers: ['COMPETITION_TYPE'], load: true },
+    { key: 'Commerciality', field: 'commerciality', type: 'string', headers: ['Commerciality'], load: true },
+    { key: 'PM_EMAIL', field: 'projectManager.email', type: 'string', headers: ['PM1 Email'], load: true },
+    { key: 'CO_EMAIL', field: 'contractingOfficer.email', type: 'string', headers: ['CO1 Email'], load: true },
+    { key: 'CS_EMAIL', field: 'contractSpecialist.email', type: 'string', headers: ['CS1 Email'], load: true },
+    { key: 'PPM', field: 'programManager.name', type: 'string', headers: ['PPM'], load: false },
+    { key: 'PPM_EMAIL', field: 'programManager.email', type: 'string', headers: ['PPM Email'], load: false },
+    { key: 'UEI', field: 'vendorUei', type: 'string', headers: ['UEI', 'Vendor UEI', 'VENDOR_UEI'], load: true },
+    { key: 'INCUMBENT', field: 'incumbent', type: 'string', headers: ['INCUMBENT', 'Incumbent'], load: true },
+    { key: 'FY_AWARD', field: 'awardFiscalYear', type: 'string', headers: ['FY of Contract Award'], load: true },
+    { key: 'INTEL_FLAG', field: 'intelFlag', type: 'string', headers: ['Intel Flag'], load: true },
+    { key: 'SBIR_FLAG', field: 'sbirFlag', type: 'string', headers: ['SBIR Flag'], load: true },
+    { key: 'OASIS_POOL', field: 'oasisPool', type: 'string', headers: ['OASIS Pool'], load: true },
+    { key: 'OASIS_SB_POOL', field: 'oasisSbPool', type: 'string', headers: ['OASIS SB Pool'], load: true },
+    { key: 'ASTRO_POOL', field: 'astroPool', type: 'string', headers: ['ASTRO Pool'], load: true },
+    { key: 'REFERENCED_IDV_NUMBER', field: 'referencedIdv', type: 'string', headers: ['REFERENCED_IDV_NUMBER'], load: true },
+    { key: 'REFERENCED_IDV_FAMILY', field: 'referencedIdvFamily', type: 'string', headers: ['REFERENCED_IDV_FAMILY', 'Referenced Idv Family (incl. Open Market)'], load: true },
+    { key: 'INSTRUMENT', field: 'instrument', type: 'string', headers: ['INSTRUMENT'], load: true },
+    { key: 'INSTRUMENT_DESCRIPTION', field: 'instrumentDescription', type: 'string', headers: ['INSTRUMENT_DESCRIPTION'], load: false },
+    { key: 'SCOPE_TAGS', field: 'scopeTags', type: 'flags', headers: ["Scope Tags (Sourced from: 'Award Tags Input Sheet')", 'Scope Tags', 'SCOPE_TAGS'], load: true }
+  ]
+};
+
+/**
+ * ColumnMappingService class for resolving the configured sheet layout
+ */
+class ColumnMappingService {
+  constructor() {
+    this.propertyKey = 'COLUMN_MAPPING';
+    this.configSheetName = 'Column_Mapping';
+    this.mapping = null; // Per-execution memo
+    this.source = null;
+  }
+
+  /**
+   * Get the active column mapping
+   * Script Property COLUMN_MAPPING (JSON) wins over the Column_Mapping config
+   * sheet, which wins over DEFAULT_COLUMN_MAPPING
+   * @returns {ColumnMapping} Active mapping
+   */
+  getMapping() {
+    if (this.mapping) return this.mapping;
+
+    let override = null;
+    this.source = 'default';
+
+    try {
+      const stored = PropertiesService.getScriptProperties().getProperty(this.propertyKey);
+      if (stored) {
+        override = JSON.parse(stored);
+        this.source = 'properties';
+      }
+    } catch (error) {
+      console.error('Invalid COLUMN_MAPPING script property, ignoring:', error);
+    }
+
+    if (!override) {
+      override = this._readConfigSheet();
+      if (override) this.source = 'sheet';
+    }
+
+    const mapping = this.mergeMapping(override);
+    const validation = this.validateMapping(mapping);
+    if (!validation.isValid) {
+      console.error('Column mapping from ' + this.source + ' is invalid, using defaults:', validation.errors.join('; '));
+      this.source = 'default';
+      this.mapping = DEFAULT_COLUMN_MAPPING;
+    } else {
+      this.mapping = mapping;
+    }
+
+    return this.mapping;
+  }
+
+  /**
+   * Where the active mapping came from ('properties', 'sheet' or 'default')
+   * @returns {string} Mapping source
+   */
+  getSource() {
+    this.getMapping();
+    return this.source;
+  }
+
+  /**
+   * Lay an override over DEFAULT_COLUMN_MAPPING
+   * Top-level settings replace the defaults. Columns are matched by key: an
+   * override column replaces only the fields it sets, default columns it does
+   * not mention are kept and columns with new keys are appended.
+   * @param {Object} [override] - Partial or full mapping
+   * @returns {ColumnMapping} Full mapping
+   */
+  mergeMapping(override) {
+    const source = override || {};
+    const merged = Object.assign({}, DEFAULT_COLUMN_MAPPING, source);
+    if (!Array.isArray(source.columns)) {
+      merged.columns = DEFAULT_COLUMN_MAPPING.columns;
+      return merged;
+    }
+
+    const overrides = {};
+    const extra = [];
+    source.columns.forEach(column => {
+      const isDefault = column && DEFAULT_COLUMN_MAPPING.columns.some(c => c.key === column.key);
+      // A repeated key is kept as its own column so validation reports it
+      if (isDefault && !overrides[column.key]) overrides[column.key] = column;
+      else extra.push(column);
+    });
+
+    merged.columns = DEFAULT_COLUMN_MAPPING.columns
+      .map(column => (overrides[column.key] ? Object.assign({}, column, overrides[column.key]) : column))
+      .concat(extra);
+    return merged;
+  }
+
+  /**
+   * Store a mapping override in Script Properties
+   * @param {ColumnMapping} mapping - Mapping to store
+   * @returns {ValidationResult} Validation result; nothing is stored when invalid
+   */
+  saveMapping(mapping) {
+    const merged = this.mergeMapping(mapping);
+    const validation = this.validateMapping(merged);
+    if (!validation.isValid) return validation;
+
+    // Only what differs from the defaults is kept, so columns added to
+    // DEFAULT_COLUMN_MAPPING later still reach installs that have saved
+    PropertiesService.getScriptProperties().setProperty(this.propertyKey, JSON.stringify(this._overridesOf(merged)));
+    this.mapping = null;
+    return validation;
+  }
+
+  /**
+   * Remove the Script Properties override
+   */
+  resetMapping() {
+    PropertiesService.getScriptProperties().deleteProperty(this.propertyKey);
+    this.mapping = null;
+  }
+
+  /**
+   * Validate mapping structure
+   * @param {ColumnMapping} mapping - Mapping to validate
+   * @returns {ValidationResult} Validation result
+   */
+  validateMapping(mapping) {
+    const errors = [];
+    const warnings = [];
+
+    if (!mapping || typeof mapping !== 'object') {
+      return { isValid: false, errors: ['Mapping must be an object'], warnings: warnings };
+    }
+    if (!mapping.sheetName || typeof mapping.sheetName !== 'string') {
+      errors.push('sheetName is required');
+    }
+    if (!(mapping.headerRow >= 1)) {
+      errors.push('headerRow must be a positive row number');
+    }
+    if (!(mapping.dataStartRow > mapping.headerRow)) {
+      errors.push('dataStartRow must be after headerRow');
+    }
+    if (!Array.isArray(mapping.columns) || mapping.columns.length === 0) {
+      errors.push('columns must be a non-empty array');
+    } else {
+      const seen = {};
+      mapping.columns.forEach((column, index) => {
+        if (!column || !column.key) {
+          errors.push(`columns[${index}] is missing a key`);
+          return;
+        }
+        if (seen[column.key]) errors.push(`Duplicate column key: ${column.key}`);
+        seen[column.key] = true;
+        if (!Array.isArray(column.headers) || column.headers.length === 0) {
+          errors.push(`Column ${column.key} has no source headers`);
+        }
+        if (column.type && COLUMN_TYPES.indexOf(column.type) === -1) {
+          errors.push(`Column ${column.key} has unknown type: ${column.type}`);
+        }
+      });
+      if (!mapping.columns.some(column => column && column.load)) {
+        warnings.push('No columns are marked to load');
+      }
+    }
+
+    return { isValid: errors.length === 0, errors: errors, warnings: warnings };
+  }
+
+  /**
+   * Match mapped columns against a sheet's header row
+   * @param {string[]} headers - Header row values
+   * @param {ColumnMapping} [mapping] - Mapping to resolve (defaults to active)
+   * @returns {Object} { columnIndex: {key: index}, missing: string[], unmappedHeaders: string[] }
+   */
+  resolveColumns(headers, mapping = this.getMapping()) {
+    const headerIndex = {};
+    headers.forEach((header, index) => {
+      const name = String(header).trim();
+      if (name && headerIndex[name] === undefined) headerIndex[name] = index;
+    });
+
+    const columnIndex = {};
+    const missing = [];
+    const used = {};
+
+    mapping.columns.forEach(column => {
+      const match = column.headers.find(header => headerIndex[header] !== undefined);
+      if (match === undefined) {
+        missing.push(column.key);
+      } else {
+        columnIndex[column.key] = headerIndex[match];
+        used[match] = true;
+      }
+    });
+
+    return {
+      columnIndex: columnIndex,
+      missing: missing,
+      unmappedHeaders: Object.keys(headerIndex).filter(header => !used[header])
+    };
+  }
+
+  /**
+   * Keys of columns marked to load
+   * @param {ColumnMapping} [mapping] - Mapping (defaults to active)
+   * @returns {string[]} Column keys
+   */
+  getLoadedKeys(mapping = this.getMapping()) {
+    return mapping.columns.filter(column => column.load).map(column => column.key);
+  }
+
+  // Private helper methods
+
+  /**
+   * The parts of a full mapping that differ from DEFAULT_COLUMN_MAPPING;
+   * default columns keep only their key and changed fields
+   * @private
+   */
+  _overridesOf(mapping) {
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const override = {};
+    Object.keys(mapping).forEach(name => {
+      if (name !== 'columns' && !same(mapping[name], DEFAULT_COLUMN_MAPPING[name])) override[name] = mapping[name];
+    });
+
+    const columns = mapping.columns.map(column => {
+      const base = DEFAULT_COLUMN_MAPPING.columns.find(c => c.key === column.key);
+      if (!base) return column;
+      const changed = { key: column.key };
+      Object.keys(column).forEach(field => {
+        if (!same(column[field], base[field])) changed[field] = column[field];
+      });
+      return Object.keys(changed).length > 1 ? changed : null;
+    }).filter(column => column);
+    if (columns.length > 0) override.columns = columns;
+
+    return override;
+  }
+
+  /**
+   * Read a mapping from the Column_Mapping sheet, if present
+   * Expected columns: Key | Field | Source Headers (separated by |) | Load | Type
+   * @private
+   */
+  _readConfigSheet() {
+    try {
+      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(this.configSheetName);
+      if (!sheet || sheet.getLastRow() < 2) return null;
+
+      const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, 5).getValues();
+      const columns = values
+        .filter(row => String(row[0]).trim())
+        .map(row => ({
+          key: String(row[0]).trim(),
+          field: String(row[1]).trim() || null,
+          headers: String(row[2]).split('|').map(h => h.trim()).filter(h => h),
+          load: row[3] === true || String(row[3]).toUpperCase() === 'TRUE',
+          type: String(row[4]).trim().toLowerCase() || 'string'
+        }));
+
+      return columns.length > 0 ? { columns: columns } : null;
+    } catch (error) {
+      console.error('Error reading column mapping sheet:', error);
+      return null;
+    }
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * ContractDetailService - Full record for one award, for the detail drawer
+ * Reads every AL_Extract column of the award's row, groups the values into
+ * sections and adds Timeline_Tracker milestones, FinancialAnalyzer risks and
+ * the BurnRateForecaster ceiling runway
+ */
+
+/**
+ * ContractDetailService class for building contract detail views
+ */
+class ContractDetailService {
+  /**
+   * Drawer sections and the column keys each shows, in order. Mapped columns
+   * not listed fall back by type (currency to financials, date to dates);
+   * everything else, including unmapped headers, goes to the last section
+   * @returns {Object[]} { id, title, keys }
+   */
+  static get SECTIONS() {
+    return [
+      {
+        id: 'identifiers',
+        title: 'Identifiers',
+        keys: ['AWARD', 'PROJECT', 'AWARD_TITLE', 'PROJECT_TITLE', 'AWARD_STATUS', 'CONTRACT_TYPE', 'Mod_Status',
+          'SOLICITATION', 'ACQUISITION', 'REFERENCED_IDV_NUMBER', 'REFERENCED_IDV_FAMILY', 'INSTRUMENT',
+          'INSTRUMENT_DESCRIPTION', 'UEI', 'INCUMBENT', 'APEXNAME', 'EMP_ORG_SHORT_NAME', 'ORGCODE',
+          'Client_Bureau', 'client_organization', 'SECTOR']
+      },
+      { id: 'financials', title: 'Financials', keys: ['CEILING', 'IGE'] },
+      { id: 'personnel', title: 'Personnel', keys: ['PM', 'PM_EMAIL', 'CO', 'CO_EMAIL', 'CS', 'CS_EMAIL', 'PPM', 'PPM_EMAIL'] },
+      { id: 'dates', title: 'Dates', keys: ['AWARD_DATE', 'FY_AWARD', 'PROJECT_START', 'PROJECT_END', 'EST_ULTIMATE_COMPLETION', 'RECENT_MOD'] },
+      {
+        id: 'flags',
+        title: 'Flags & Competition',
+        keys: ['FLAGS', 'COMPETITION_TYPE', 'Commerciality', 'INTEL_FLAG', 'SBIR_FLAG', 'OASIS_POOL', 'OASIS_SB_POOL',
+          'ASTRO_POOL', 'SCOPE_TAGS']
+      },
+      { id: 'other', title: 'Other Columns', keys: [] }
+    ];
+  }
+
+  /**
+   * People listed with mailto links
+   * @returns {Object[]} { role, nameKey, emailKey }
+   */
+  static get PERSONNEL() {
+    return [
+      { role: 'Project Manager', nameKey: 'PM', emailKey: 'PM_EMAIL' },
+      { role: 'Contracting Officer', nameKey: 'CO', emailKey: 'CO_EMAIL' },
+      { role: 'Contract Specialist', nameKey: 'CS', emailKey: 'CS_EMAIL' },
+      { role: 'Program Manager', nameKey: 'PPM', emailKey: 'PPM_EMAIL' }
+    ];
+  }
+
+  constructor() {
+    this.dataService = new DataService();
+    this.timelineTracker = new Timeline_Tracker();
+    this.financialAnalyzer = new FinancialAnalyzer();
+    this.burnRateForecaster = new BurnRateForecaster();
+  }
+
+  /**
+   * Detail for one contract row
+   * @param {string} key - AWARD, or AWARD#n for its nth repeat (see buildContractKeys)
+   * @returns {ContractDetail} Grouped columns, personnel, timeline and risks
+   * @throws {Error} When the award is not in the sheet
+   */
+  getDetail(key) {
+    const context = getContractSheetContext();
+    const match = this.findRow(context, key);
+    const row = context.sheet.getRange(match.rowNumber, 1, 1, context.lastCol).getValues()[0];
+    return Object.assign({ key: key, rowNumber: match.rowNumber, duplicates: match.count }, this.buildDetail(row, context, match.rowNumber));
+  }
+
+  /**
+   * Locate an award's row by reading only the AWARD column
+   * @param {Object} context - Sheet context from getContractSheetContext()
+   * @param {string} key - AWARD, or AWARD#n for its nth repeat
+   * @returns {Object} { rowNumber, count } where count is how many rows share the award
+   * @throws {Error} When the AWARD column is unmapped or the award is not found
+   */
+  findRow(context, key) {
+    const awardIndex = context.columnIndex.AWARD;
+    if (awardIndex === undefined) throw new Error('The AWARD column is not mapped');
+
+    const parts = String(key).match(/^(.*)#(\d+)$/);
+    const award = parts ? parts[1] : String(key);
+    const occurrence = parts ? Number(parts[2]) : 1;
+
+    const values = context.dataRowCount > 0
+      ? context.sheet.getRange(context.mapping.dataStartRow, awardIndex + 1, context.dataRowCount, 1).getValues()
+      : [];
+    let rowNumber = null;
+    let count = 0;
+    values.forEach((cell, index) => {
+      if (String(cell[0]).trim() !== award) return;
+      count++;
+      if (count === occurrence) rowNumber = context.mapping.dataStartRow + index;
+    });
+
+    if (!rowNumber) throw new Error(`Contract not found: ${key}`);
+    return { rowNumber: rowNumber, count: count };
+  }
+
+  /**
+   * Group a raw sheet row into sections and add the derived views
+   * @param {Array} row - Raw sheet row
+   * @param {Object} context - Sheet context from getContractSheetContext()
+   * @param {number} [rowNumber] - 1-based sheet row
+   * @returns {Object} { award, title, status, sections, personnel, timeline, risks, runway }
+   */
+  buildDetail(row, context, rowNumber) {
+    const keyByIndex = {};
+    Object.keys(context.columnIndex).forEach(key => { keyByIndex[context.columnIndex[key]] = key; });
+    const columns = {};
+    context.mapping.columns.forEach(column => { columns[column.key] = column; });
+
+    const sections = ContractDetailService.SECTIONS.map(section => Object.assign({ fields: [] }, section));
+    const sectionByKey = {};
+    sections.forEach(section => section.keys.forEach(key => { sectionByKey[key] = section; }));
+    const byId = id => sections.find(section => section.id === id);
+
+    context.headers.forEach((header, index) => {
+      const label = String(header).trim();
+      if (!label) return;
+      const key = keyByIndex[index] || null;
+      const type = key && columns[key] ? columns[key].type : 'string';
+      const field = { label: label, key: key, type: type, value: this._serialize(row[index], context.timeZone) };
+
+      let section = key ? sectionByKey[key] : null;
+      if (!section && type === 'currency') section = byId('financials');
+      if (!section && type === 'date') section = byId('dates');
+      (section || byId('other')).fields.push(field);
+    });
+
+    // Listed keys keep the section's order; fallbacks follow in sheet order
+    sections.forEach(section => {
+      const order = key => (section.keys.indexOf(key) >= 0 ? section.keys.indexOf(key) : section.keys.length);
+      section.fields = section.fields
+        .map((field, index) => ({ field: field, index: index }))
+        .sort((a, b) => order(a.field.key) - order(b.field.key) || a.index - b.index)
+        .map(entry => entry.field);
+      delete section.keys;
+    });
+
+    const record = rowToContractRecord(row, context, Object.keys(context.columnIndex));
+    const contract = this.dataService.normalizeRecord(record, context.mapping, rowNumber);
+    const milestones = this.timelineTracker.calculateMilestones(contract);
+
+    return {
+      award: String(record.AWARD || ''),
+      title: String(record.AWARD_TITLE || record.PROJECT_TITLE || ''),
+      status: String(record.AWARD_STATUS || ''),
+      sections: sections.filter(section => section.fields.length > 0),
+      personnel: ContractDetailService.PERSONNEL
+        .map(person => ({
+          role: person.role,
+          name: String(record[person.nameKey] || '').trim(),
+          email: String(record[person.emailKey] || '').trim()
+        }))
+        .filter(person => person.name || person.email),
+      timeline: this._toPlain({
+        milestones: milestones,
+        completionStatus: this.timelineTracker.calculateCompletionStatus(contract, milestones),
+        health: this.timelineTracker.assessTimelineHealth(contract, milestones)
+      }, context.timeZone),
+      risks: this._toPlain(this.financialAnalyzer.identifyFinancialRisks([contract]), context.timeZone),
+      runway: this.burnRateForecaster.forecastContract(contract)
+    };
+  }
+
+  // Private helper methods
+
+  /**
+   * Cell value as shown in the drawer; dates become yyyy-MM-dd
+   * @private
+   */
+  _serialize(value, timeZone) {
+    if (value instanceof Date) return Utilities.formatDate(value, timeZone, 'yyyy-MM-dd');
+    if (value === null || value === undefined) return '';
+    return value;
+  }
+
+  /**
+   * Copy with Date values as yyyy-MM-dd strings; google.script.run cannot return Dates
+   * @private
+   */
+  _toPlain(value, timeZone) {
+    if (value instanceof Date) return Utilities.formatDate(value, timeZone, 'yyyy-MM-dd');
+    if (Array.isArray(value)) return value.map(item => this._toPlain(item, timeZone));
+    if (value && typeof value === 'object') {
+      const copy = {};
+      Object.keys(value).forEach(key => { copy[key] = this._toPlain(value[key], timeZone); });
+      return copy;
+    }
+    return value;
+  }
+}
@@ -1,15 +1,415 @@
 /**
- * DataService - Stub for GAS server-side compatibility
- * Actual data loading is handled by getContractPage/getContractInfo in Code.js
+ * DataService - Loads AL_Extract rows and normalizes them into ContractData
+ * The dashboard payload keeps raw column keys (see getContractDataBulk in Code.js);
+ * this service produces the camelCase ContractData objects the analysis services expect
+ */
+
+/**
+ * DataService class for contract data loading and normalization
  */
 class DataService {
+  /**
+   * Validator field names that report the same underlying problem, mapped to one
+   * canonical name so a row is listed once per problem in the quality report
+   * @returns {Object} Field name to canonical name
+   */
+  static get OVERLAPPING_CHECKS() {
+    return {
+      financial_relationship: 'ceiling_vs_award',
+      ceiling_award_relationship: 'ceiling_vs_award',
+      date_relationship: 'project_dates',
+      start_end_relationship: 'project_dates'
+    };
+  }
+
   constructor() {
     this.cachedData = null;
-    this.sheetName = 'AL_Extract';
+    this.columnMappingService = new ColumnMappingService();
+    this.maxIssuesPerCategory = 500; // Keeps the cached report a few hundred KB at most
+    this.personnelRoles = {
+      projectManager: 'Project Manager',
+      contractingOfficer: 'Contracting Officer',
+      contractSpecialist: 'Contract Specialist',
+      programManager: 'Program Manager'
+    };
+  }
+
+  /**
+   * Name of the configured contract sheet
+   * @returns {string} Sheet name
+   */
+  get sheetName() {
+    return this.columnMappingService.getMapping().sheetName;
+  }
+
+  /**
+   * Load every contract row as normalized ContractData
+   * Results are memoized for the lifetime of this instance
+   * @returns {ContractData[]} Normalized contracts
+   */
+  loadContractData() {
+    if (this.cachedData) return this.cachedData;
+
+    const context = getContractSheetContext();
+    if (context.dataRowCount === 0) {
+      this.cachedData = [];
+      return this.cachedData;
+    }
+
+    const keys = Object.keys(context.columnIndex);
+    const values = context.sheet.getRange(context.mapping.dataStartRow, 1, context.dataRowCount, context.lastCol).getValues();
+    const contracts = [];
+
+    values.forEach((row, index) => {
+      if (isEmptyContractRow(row, context)) return;
+      const record = rowToContractRecord(row, context, keys);
+      contracts.push(this.normalizeRecord(record, context.mapping, context.mapping.dataStartRow + index));
+    });
+
+    this.cachedData = contracts;
+    return contracts;
+  }
+
+  loadContractDataSync() { return this.loadContractData(); }
+
+  /**
+   * Normalize keyed records (raw sheet keys, as shipped to the client) into ContractData
+   * @param {Object[]} records - Records keyed by mapping column key
+   * @param {ColumnMapping} [mapping] - Column mapping (defaults to active)
+   * @returns {ContractData[]} Normalized contracts
+   */
+  normalizeRecords(records, mapping = this.columnMappingService.getMapping()) {
+    if (!Array.isArray(records)) return [];
+    return records.map(record => this.normalizeRecord(record, mapping, record && record._rowNumber));
+  }
+
+  /**
+   * Normalize one keyed record into ContractData
+   * @param {Object} record - Record keyed by mapping column key
+   * @param {ColumnMapping} mapping - Column mapping
+   * @param {number} [rowNumber] - 1-based sheet row the record came from
+   * @returns {ContractData} Normalized contract
+   */
+  normalizeRecord(record, mapping, rowNumber) {
+    const contract = {
+      ceiling: 0,
+      awardValue: 0,
+      flags: []
+    };
+
+    Object.keys(this.personnelRoles).forEach(role => {
+      contract[role] = { name: '', email: '', role: this.personnelRoles[role], organization: '' };
+    });
+
+    const parseIssues = [];
+
+    mapping.columns.forEach(column => {
+      if (!column.field || !record || !(column.key in record)) return;
+      const raw = record[column.key];
+      const value = this.parseValue(raw, column.type);
+      if (!this._isParsed(raw, value, column.type)) {
+        parseIssues.push({ field: column.field, key: column.key, value: raw, type: column.type });
+      }
+      this._setPath(contract, column.field, value);
+    });
+
+    contract.remainingBudget = contract.ceiling - contract.awardValue;
+    contract.securityLevel = this.parseSecurityLevel(contract.flags);
+
+    Object.keys(this.personnelRoles).forEach(role => {
+      const person = contract[role];
+      person.email = String(person.email || '').trim().toLowerCase();
+      person.organization = contract.clientBureau || '';
+    });
+
+    if (rowNumber) contract._rowNumber = rowNumber;
+    if (parseIssues.length > 0) contract._parseIssues = parseIssues;
+    return contract;
+  }
+
+  /**
+   * Parse a raw cell value according to its mapped column type
+   * @param {*} value - Raw value
+   * @param {string} type - Column type ('string', 'number', 'currency', 'date', 'flags')
+   * @returns {*} Parsed value
+   */
+  parseValue(value, type) {
+    switch (type) {
+      case 'currency':
+        return CurrencyUtils.parseCurrency(value);
+      case 'number': {
+        const num = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+        return isNaN(num) ? 0 : num;
+      }
+      case 'date':
+        return DateUtils.parseDate(value);
+      case 'flags':
+        return String(value || '').split(',').map(flag => flag.trim()).filter(flag => flag);
+      default:
+        return value === null || value === undefined ? '' : String(value).trim();
+    }
   }
-  loadContractData() { return []; }
-  loadContractDataSync() { return []; }
-  validateConnection() { return true; }
-  validateDataIntegrity(data) { return { isValid: true, errors: [], warnings: [] }; }
+
+  /**
+   * Derive a SecurityLevel from the "Security Classification Level N" flag
+   * Level 0 is Public, 1 Internal, 2 Confidential and 3 or higher Restricted.
+   * Contracts without the flag default to Internal
+   * @param {string[]} flags - Contract flags
+   * @returns {string} SecurityLevel value
+   */
+  parseSecurityLevel(flags) {
+    const levels = [SecurityLevel.PUBLIC, SecurityLevel.INTERNAL, SecurityLevel.CONFIDENTIAL, SecurityLevel.RESTRICTED];
+
+    for (const flag of flags || []) {
+      const match = /security classification level\s*(\d+)/i.exec(flag);
+      if (match) {
+        return levels[Math.min(parseInt(match[1], 10), levels.length - 1)];
+      }
+    }
+
+    return SecurityLevel.INTERNAL;
+  }
+
+  /**
+   * Check that the configured sheet is reachable
+   * @returns {boolean} True if the sheet exists
+   */
+  validateConnection() {
+    try {
+      return !!SpreadsheetApp.getActiveSpreadsheet().getSheetByName(this.sheetName);
+    } catch (error) {
+      console.error('DataService connection check failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Run row-level validation over normalized contracts
+   * Combines ValidationUtils contract, financial and date checks with the
+   * parse failures recorded during normalization
+   * @param {ContractData[]} contracts - Normalized contracts
+   * @returns {ValidationResult} Combined validation result
+   */
+  validateDataIntegrity(contracts) {
+    const results = [];
+    const consoleEnabled = errorLogger.consoleEnabled;
+    errorLogger.consoleEnabled = false;
+
+    try {
+      (contracts || []).forEach((contract, index) => {
+        const row = contract._rowNumber || index + 1;
+        const rowResults = [];
+
+        // Parse failures first so they win over the generic "missing" message for the same field
+        const parseErrors = (contract._parseIssues || []).map(issue => ({
+          field: issue.field,
+          row: row,
+          error: `Could not parse ${issue.type} value '${issue.value}' in ${issue.key}`,
+          severity: 'error'
+        }));
+        if (parseErrors.length > 0) {
+          rowResults.push(errorLogger.createValidationResult(false, parseErrors.map(e => e.error), [], 1, 0, parseErrors));
+        }
+
+        rowResults.push(
+          ValidationUtils.validateContractData(contract, row),
+          ValidationUtils.validateFinancialData(contract, row),
+          ValidationUtils.validateDateData(contract, row)
+        );
+
+        // One processed/valid row per contract regardless of how many checks ran
+        const combined = ValidationUtils.combineValidationResults(rowResults);
+        combined.processedRows = 1;
+        combined.validRows = combined.isValid ? 1 : 0;
+        results.push(combined);
+      });
+    } finally {
+      errorLogger.consoleEnabled = consoleEnabled;
+    }
+
+    return ValidationUtils.combineValidationResults(results);
+  }
+
+  /**
+   * Build a compact, cacheable data quality report for keyed sheet records
+   * @param {Object[]} records - Records keyed by mapping column key, each with _rowNumber
+   * @param {Object} [options] - { mapping, headers: {key: source header}, datasetHash }
+   * @returns {Object} Report with summary scores, per-field completeness and row-level issues
+   *   (each issue carries a category; lists are capped per category)
+   */
+  buildDataQualityReport(records, options = {}) {
+    const mapping = options.mapping || this.columnMappingService.getMapping();
+    const headers = options.headers || {};
+    const contracts = records.map(record => this.normalizeRecord(record, mapping, record._rowNumber));
+    const validation = this.validateDataIntegrity(contracts);
+
+    const keys = records.length > 0 ? mapping.columns.map(column => column.key).filter(key => key in records[0]) : [];
+    const rawData = [keys].concat(records.map(record => keys.map(key => record[key])));
+    const report = errorLogger.generateDataQualityReport(rawData, validation, contracts);
+
+    // Row-level issues: validation findings (deduplicated where checks overlap) plus outliers
+    const byRow = {};
+    contracts.forEach((contract, index) => { byRow[contract._rowNumber || index + 1] = { contract: contract, record: records[index] }; });
+    const fieldToKey = {};
+    mapping.columns.forEach(column => { if (column.field) fieldToKey[column.field] = column.key; });
+
+    const overlapping = DataService.OVERLAPPING_CHECKS;
+    const seen = {};
+    const issues = [];
+    const addIssue = (row, field, severity, message, value, category) => {
+      const canonical = overlapping[field] || field;
+      const id = row + '|' + canonical + '|' + severity;
+      if (seen[id]) return;
+      seen[id] = true;
+
+      const entry = byRow[row] || {};
+      const key = fieldToKey[field] || null;
+      issues.push({
+        row: row,
+        award: entry.record ? String(entry.record.AWARD || '') : '',
+        field: field,
+        column: key ? (headers[key] || key) : null,
+        value: value !== undefined ? value : this._issueValue(entry, canonical, key),
+        severity: severity,
+        category: category || this._issueCategory(canonical, message),
+        message: message
+      });
+    };
+
+    validation.fieldErrors.forEach(fe => addIssue(fe.row, fe.field, fe.severity, fe.error));
+    report.accuracy.outliers.forEach(outlier => addIssue(outlier.row, outlier.field, outlier.severity, outlier.message, outlier.value, 'outlier'));
+
+    // Missing PM/CO contact emails, only when the email columns are mapped
+    ['projectManager', 'contractingOfficer'].forEach(role => {
+      const key = fieldToKey[role + '.email'];
+      if (!key || keys.indexOf(key) === -1) return;
+      contracts.forEach(contract => {
+        const person = contract[role];
+        if (!person.email) {
+          addIssue(contract._rowNumber, role + '.email', 'warning',
+            `${person.role} email is missing${person.name ? ' for ' + person.name : ''}`, '', 'missing_email');
+        }
+      });
+    });
+
+    const severityOrder = { error: 0, warning: 1, info: 2 };
+    issues.sort((a, b) => (severityOrder[a.severity] - severityOrder[b.severity]) || (a.row - b.row));
+
+    const counts = { error: 0, warning: 0, info: 0 };
+    const categoryCounts = {};
+    const kept = [];
+    issues.forEach(issue => {
+      counts[issue.severity] = (counts[issue.severity] || 0) + 1;
+      categoryCounts[issue.category] = (categoryCounts[issue.category] || 0) + 1;
+      if (categoryCounts[issue.category] <= this.maxIssuesPerCategory) kept.push(issue);
+    });
+
+    // Consistency and accuracy scores: share of rows with no finding of that kind
+    const rowsWith = list => {
+      const rows = {};
+      list.forEach(item => { rows[item.row] = true; });
+      return Object.keys(rows).length;
+    };
+    const rowScore = affected => contracts.length > 0
+      ? Math.round(((contracts.length - affected) / contracts.length) * 10000) / 100
+      : 100;
+
+    // Completeness per column instead of one entry per empty cell
+    const missingByKey = {};
+    report.completeness.missingFields.forEach(missing => {
+      missingByKey[missing.field] = (missingByKey[missing.field] || 0) + 1;
+    });
+    const fields = keys.map(key => {
+      const missing = missingByKey[key] || 0;
+      return {
+        key: key,
+        header: headers[key] || key,
+        missing: missing,
+        populated: records.length - missing,
+        completeness: records.length > 0 ? Math.round(((records.length - missing) / records.length) * 10000) / 100 : 0
+      };
+    });
+
+    return {
+      reportId: report.reportId,
+      generatedAt: report.generatedAt.toISOString(),
+      datasetHash: options.datasetHash || null,
+      summary: {
+        totalRows: validation.processedRows,
+        validRows: validation.validRows,
+        errorCount: counts.error,
+        warningCount: counts.warning,
+        infoCount: counts.info,
+        completenessScore: report.completeness.completenessScore,
+        consistencyScore: rowScore(rowsWith(report.consistency.inconsistencies)),
+        accuracyScore: rowScore(rowsWith(report.accuracy.outliers.concat(report.accuracy.formatErrors))),
+        validityScore: validation.processedRows > 0
+          ? Math.round((validation.validRows / validation.processedRows) * 10000) / 100
+          : 100
+      },
+      fields: fields,
+      categoryCounts: categoryCounts,
+      issueCount: issues.length,
+      truncated: kept.length < issues.length,
+      issues: kept
+    };
+  }
+
   clearCache() { this.cachedData = null; }
+
+  // Private helper methods
+
+  /**
+   * Whether a non-empty raw value survived parsing
+   * @private
+   */
+  _isParsed(raw, value, type) {
+    if (raw === null || raw === undefined || String(raw).trim() === '') return true;
+    if (type === 'date') return value !== null;
+    if (type === 'currency' || type === 'number') return typeof raw === 'number' || /\d/.test(String(raw));
+    return true;
+  }
+
+  /**
+   * Group an issue for the Data Quality panel
+   * @private
+   */
+  _issueCategory(canonical, message) {
+    if (/^Could not parse/.test(message)) return 'parse';
+    if (canonical === 'ceiling_vs_award' || canonical === 'ceiling' || canonical === 'awardValue') {
+      return /missing/i.test(message) ? 'missing_field' : 'financial';
+    }
+    if (/_relationship$/.test(canonical) || canonical === 'project_dates') return 'date_order';
+    if (/\.email$/.test(canonical)) return 'invalid_email';
+    return 'missing_field';
+  }
+
+  /**
+   * Offending value for a report issue
+   * @private
+   */
+  _issueValue(entry, canonical, key) {
+    const contract = entry.contract;
+    if (!contract) return '';
+    if (canonical === 'ceiling_vs_award') return `ceiling: ${contract.ceiling}, award: ${contract.awardValue}`;
+    if (canonical === 'project_dates') {
+      return `start: ${DateUtils.formatDate(contract.projectStart, 'iso')}, end: ${DateUtils.formatDate(contract.projectEnd, 'iso')}`;
+    }
+    if (key && entry.record && entry.record[key] !== undefined) return entry.record[key];
+    return '';
+  }
+
+  /**
+   * Assign a value at a dotted path, creating objects as needed
+   * @private
+   */
+  _setPath(target, path, value) {
+    const parts = path.split('.');
+    let node = target;
+    for (let i = 0; i < parts.length - 1; i++) {
+      if (!node[parts[i]] || typeof node[parts[i]] !== 'object') node[parts[i]] = {};
+      node = node[parts[i]];
+    }
+    node[parts[parts.length - 1]] = value;
+  }
 }
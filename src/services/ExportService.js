@@ -1,17 +1,670 @@
 /**
- * ExportService - Stub for GAS server-side compatibility
- * Actual CSV export is handled client-side in scripts.html
+ * ExportService - Builds server-side CSV, XLSX and PDF exports
+ * Turns the filtered contract rows sent by the client into downloadable blobs,
+ * shaped by one of the named export configurations, or exports a table the
+ * client has already built (such as a pivot) passed as `options.table`
+ */
+
+/**
+ * ExportService class for generating export files
  */
 class ExportService {
   constructor() {
     this.exportConfigurations = {
-      summary: { name: 'Summary Report' },
-      detailed: { name: 'Detailed Report' },
-      financial: { name: 'Financial Analysis' },
-      personnel: { name: 'Personnel Report' }
+      summary: {
+        name: 'Summary Report',
+        description: 'Key metrics and overview',
+        sheetName: 'Summary Report',
+        columns: [
+          { key: 'AWARD', label: 'Award' },
+          { key: 'AWARD_TITLE', label: 'Title' },
+          { key: 'AWARD_STATUS', label: 'Status' },
+          { key: 'Client_Bureau', label: 'Client Bureau' },
+          { key: 'CEILING', label: 'Ceiling', format: 'currency' },
+          { key: 'PROJECT_END', label: 'Project End', format: 'date' }
+        ],
+        sortBy: { key: 'CEILING', direction: 'desc' },
+        groupBy: 'AWARD_STATUS',
+        subtotals: ['CEILING']
+      },
+      detailed: {
+        name: 'Detailed Report',
+        description: 'All fields and data',
+        sheetName: 'Contracts',
+        columns: null, // null = every field present in the data, labelled by key
+        sortBy: null,
+        groupBy: null,
+        subtotals: []
+      },
+      financial: {
+        name: 'Financial Analysis',
+        description: 'Budget and spending focus',
+        sheetName: 'Financial',
+        columns: [
+          { key: 'Client_Bureau', label: 'Client Bureau' },
+          { key: 'AWARD', label: 'Award' },
+          { key: 'AWARD_TITLE', label: 'Title' },
+          { key: 'CONTRACT_TYPE', label: 'Contract Type' },
+          { key: 'CEILING', label: 'Ceiling', format: 'currency' },
+          { key: 'IGE', label: 'Award Value (IGE)', format: 'currency' },
+          { key: 'PROJECT_START', label: 'Project Start', format: 'date' },
+          { key: 'PROJECT_END', label: 'Project End', format: 'date' }
+        ],
+        sortBy: { key: 'CEILING', direction: 'desc' },
+        groupBy: 'Client_Bureau',
+        subtotals: ['CEILING', 'IGE']
+      },
+      personnel: {
+        name: 'Personnel Report',
+        description: 'Staff assignments and contacts',
+        sheetName: 'Personnel',
+        rowSource: 'personnel', // one row per PM/CO/CS instead of one per contract
+        columns: [
+          { key: 'ROLE', label: 'Role' },
+          { key: 'NAME', label: 'Name' },
+          { key: 'CONTRACT_COUNT', label: 'Contracts', format: 'number' },
+          { key: 'TOTAL_CEILING', label: 'Total Ceiling', format: 'currency' },
+          { key: 'BUREAUS', label: 'Client Bureaus' }
+        ],
+        sortBy: { key: 'CONTRACT_COUNT', direction: 'desc' },
+        groupBy: 'ROLE',
+        subtotals: ['CONTRACT_COUNT', 'TOTAL_CEILING'],
+        grandTotal: false // A contract appears once per role, so totals across roles overcount
+      }
     };
+    this.personnelRoles = [
+      { key: 'PM', label: 'Project Manager' },
+      { key: 'CO', label: 'Contracting Officer' },
+      { key: 'CS', label: 'Contract Specialist' }
+    ];
+    this.defaultConfiguration = 'detailed';
+    this.maxPdfRows = 500; // HTML-to-PDF conversion slows sharply past a few hundred rows
+    this.maxTableRows = 10000; // Prebuilt tables sent from the client
   }
-  getAvailableConfigurations() { return this.exportConfigurations; }
+
+  /**
+   * Get all export configurations
+   * @returns {Object} Export configurations keyed by name
+   */
+  getAvailableConfigurations() {
+    return this.exportConfigurations;
+  }
+
   setCurrentData(data) {}
+
   checkExportPermission(user) { return true; }
+
+  /**
+   * Export contracts to a CSV blob
+   * Metadata (report name, generation timestamp, applied filters) is written as
+   * leading rows, separated from the table by a blank line
+   * @param {Object[]} data - Contract rows to export
+   * @param {FilterCriteria} filters - Applied filters for metadata
+   * @param {Object} options - Export options ({ configuration, table, includeMetadata })
+   * @returns {Blob} CSV blob
+   */
+  exportToCSV(data, filters = {}, options = {}) {
+    const { config, table } = this._resolveTable(data, options);
+    const lines = [];
+
+    if (options.includeMetadata !== false) {
+      this._metadataRows(data, filters, config).forEach(row => lines.push(this._toCsvLine(row)));
+      lines.push('');
+    }
+
+    lines.push(this._toCsvLine(table.headers));
+    table.rows.forEach(row => lines.push(this._toCsvLine(row)));
+
+    return Utilities.newBlob(lines.join('\r\n'), 'text/csv');
+  }
+
+  /**
+   * Export contracts to a multi-sheet XLSX workbook
+   * Builds a temporary spreadsheet, converts it through the Drive export
+   * endpoint and trashes the temporary file afterwards
+   * @param {Object[]} data - Contract rows to export
+   * @param {FilterCriteria} filters - Applied filters for metadata
+   * @param {Object} options - Export options ({ configuration, table })
+   * @returns {Blob} XLSX blob
+   */
+  createExcelWorkbook(data, filters = {}, options = {}) {
+    const { config, table } = this._resolveTable(data, options);
+    const spreadsheet = SpreadsheetApp.create(`export_tmp_${Date.now()}`);
+
+    try {
+      // Contracts sheet
+      const contractsSheet = spreadsheet.getSheets()[0].setName(config.sheetName);
+      this._writeSheet(contractsSheet, table.headers, table.rows);
+      this._formatDataSheet(contractsSheet, table);
+
+      // Summary sheet; a prebuilt table carries its own totals
+      if (!options.table) {
+        const summary = this.buildSummary(data);
+        const summaryRows = [
+          ['Total Contracts', summary.totalContracts],
+          ['Total Ceiling', summary.totalCeiling],
+          ['Total IGE', summary.totalIGE],
+          ['', '']
+        ];
+        summary.byStatus.forEach(entry => summaryRows.push([entry.status, entry.count]));
+        this._writeSheet(spreadsheet.insertSheet('Summary'), ['Metric', 'Value'], summaryRows);
+      }
+
+      // Report info sheet
+      this._writeSheet(spreadsheet.insertSheet('Report Info'), ['Property', 'Value'], this._metadataRows(data, filters, config));
+
+      SpreadsheetApp.flush();
+
+      const url = `https://docs.google.com/spreadsheets/d/${spreadsheet.getId()}/export?format=xlsx`;
+      const response = UrlFetchApp.fetch(url, {
+        headers: { Authorization: 'Bearer ' + ScriptApp.getOAuthToken() },
+        muteHttpExceptions: true
+      });
+
+      if (response.getResponseCode() !== 200) {
+        throw new Error(`Workbook conversion failed with HTTP ${response.getResponseCode()}`);
+      }
+
+      return response.getBlob().setContentType('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+    } finally {
+      try {
+        DriveApp.getFileById(spreadsheet.getId()).setTrashed(true);
+      } catch (cleanupError) {
+        console.warn('Failed to trash temporary export spreadsheet:', cleanupError);
+      }
+    }
+  }
+
+  /**
+   * Export contracts to a PDF report
+   * @param {Object[]} data - Contract rows to export
+   * @param {Object[]} charts - Chart images ({ title, dataUrl }) captured on the client
+   * @param {FilterCriteria} filters - Applied filters for metadata
+   * @param {Object} options - Export options ({ configuration, table })
+   * @returns {Blob} PDF blob
+   */
+  generatePDFReport(data, charts = [], filters = {}, options = {}) {
+    const { config, table } = this._resolveTable(data, options);
+    const summary = options.table ? null : this.buildSummary(data);
+    const metadata = this._metadataRows(data, filters, config);
+
+    const html = [];
+    html.push('<html><head><style>');
+    html.push('body { font-family: Arial, sans-serif; font-size: 9pt; color: #1b1b1b; }');
+    html.push('h1 { color: #003C71; font-size: 16pt; margin-bottom: 4px; }');
+    html.push('h2 { color: #003C71; font-size: 12pt; margin-top: 18px; }');
+    html.push('table { border-collapse: collapse; width: 100%; }');
+    html.push('th { background: #003C71; color: #fff; text-align: left; padding: 4px; }');
+    html.push('td { border-bottom: 1px solid #C9C9C9; padding: 3px 4px; }');
+    html.push('.meta td { border: none; padding: 1px 4px; }');
+    html.push('tr.subtotal td { font-weight: bold; background: #E1F3F8; }');
+    html.push('tr.total td { font-weight: bold; background: #C9DFF5; }');
+    html.push('.chart { margin: 8px 0; max-width: 100%; }');
+    html.push('</style></head><body>');
+
+    html.push(`<h1>${this._escapeHtml(config.name)}</h1>`);
+    html.push('<table class="meta">');
+    metadata.forEach(row => {
+      html.push(`<tr><td><strong>${this._escapeHtml(row[0])}</strong></td><td>${this._escapeHtml(row[1])}</td></tr>`);
+    });
+    html.push('</table>');
+
+    if (summary) {
+      html.push('<h2>Summary</h2><table class="meta">');
+      html.push(`<tr><td><strong>Total Contracts</strong></td><td>${summary.totalContracts}</td></tr>`);
+      html.push(`<tr><td><strong>Total Ceiling</strong></td><td>${this._formatCell(summary.totalCeiling, 'currency')}</td></tr>`);
+      html.push(`<tr><td><strong>Total IGE</strong></td><td>${this._formatCell(summary.totalIGE, 'currency')}</td></tr>`);
+      summary.byStatus.forEach(entry => {
+        html.push(`<tr><td>${this._escapeHtml(entry.status)}</td><td>${entry.count}</td></tr>`);
+      });
+      html.push('</table>');
+    }
+
+    (charts || []).forEach(chart => {
+      if (chart && typeof chart.dataUrl === 'string' && chart.dataUrl.indexOf('data:image/') === 0) {
+        html.push(`<h2>${this._escapeHtml(chart.title || 'Chart')}</h2>`);
+        html.push(`<img class="chart" src="${chart.dataUrl}">`);
+      }
+    });
+
+    html.push(`<h2>${this._escapeHtml(config.sheetName)}</h2>`);
+    let rowIndexes = table.rows.map((row, index) => index);
+    if (rowIndexes.length > this.maxPdfRows) {
+      html.push(`<p>Showing the first ${this.maxPdfRows} of ${table.rows.length} rows. Use CSV or Excel for the full list.</p>`);
+      const lastIndex = table.rows.length - 1;
+      rowIndexes = rowIndexes.slice(0, this.maxPdfRows);
+      if (table.rowKinds[lastIndex] === 'total') rowIndexes.push(lastIndex);
+    }
+    html.push('<table><thead><tr>');
+    table.headers.forEach(header => html.push(`<th>${this._escapeHtml(header)}</th>`));
+    html.push('</tr></thead><tbody>');
+    rowIndexes.forEach(index => {
+      const cells = table.rows[index].map((cell, col) => {
+        const format = typeof cell === 'number' ? table.columns[col].format : null;
+        return `<td>${this._escapeHtml(this._formatCell(cell, format))}</td>`;
+      });
+      html.push(`<tr class="${table.rowKinds[index]}">${cells.join('')}</tr>`);
+    });
+    html.push('</tbody></table></body></html>');
+
+    return Utilities.newBlob(html.join('\n'), 'text/html', 'report.html').getAs(MimeType.PDF);
+  }
+
+  /**
+   * Build the header row and value rows for a configuration
+   * Applies the configuration's row source, sort order, grouping and subtotals.
+   * Each group is followed by a subtotal row and the table ends with a grand total
+   * unless the configuration sets grandTotal: false
+   * @param {Object[]} data - Contract rows
+   * @param {Object} config - Export configuration
+   * @returns {Object} { columns, headers: string[], rows: any[][], rowKinds: string[] }
+   */
+  buildTable(data, config) {
+    const columns = config.columns || this._collectFields(data).map(key => ({ key: key, label: key }));
+    let records = config.rowSource === 'personnel' ? this.buildPersonnelRows(data) : data.slice();
+
+    if (config.sortBy) {
+      records = this._sortRecords(records, columns, config.sortBy);
+    }
+
+    const rows = [];
+    const rowKinds = [];
+    const subtotals = config.subtotals || [];
+    const toRow = record => columns.map(column => this._cellValue(record[column.key], column.format));
+
+    if (!config.groupBy) {
+      records.forEach(record => {
+        rows.push(toRow(record));
+        rowKinds.push('data');
+      });
+    } else {
+      const groups = {};
+      records.forEach(record => {
+        const groupKey = String(record[config.groupBy] || 'Unspecified');
+        (groups[groupKey] = groups[groupKey] || []).push(record);
+      });
+
+      Object.keys(groups).sort().forEach(groupKey => {
+        groups[groupKey].forEach(record => {
+          rows.push(toRow(record));
+          rowKinds.push('data');
+        });
+        if (subtotals.length > 0) {
+          rows.push(this._totalRow(columns, groups[groupKey], subtotals, `${groupKey} Subtotal (${groups[groupKey].length})`));
+          rowKinds.push('subtotal');
+        }
+      });
+    }
+
+    if (subtotals.length > 0 && config.grandTotal !== false) {
+      rows.push(this._totalRow(columns, records, subtotals, `Grand Total (${records.length})`));
+      rowKinds.push('total');
+    }
+
+    return {
+      columns: columns,
+      headers: columns.map(column => column.label),
+      rows: rows,
+      rowKinds: rowKinds
+    };
+  }
+
+  /**
+   * Check a table built on the client and shape it like buildTable output
+   * @param {Object} table - { name, columns: { label, format }[], rows: any[][], rowKinds?, recordCount? }
+   * @returns {Object} { name, recordCount, columns, headers, rows, rowKinds }
+   * @throws {Error} When the table is malformed or too large
+   */
+  normalizeTable(table) {
+    if (!table || !Array.isArray(table.columns) || table.columns.length === 0 || !Array.isArray(table.rows)) {
+      throw new Error('Export table must have columns and rows');
+    }
+    if (table.rows.length > this.maxTableRows) {
+      throw new Error(`Export table is limited to ${this.maxTableRows} rows`);
+    }
+
+    const formats = ['currency', 'number', 'date'];
+    const columns = table.columns.map((column, index) => ({
+      key: 'col' + index,
+      label: String((column && column.label) || `Column ${index + 1}`),
+      format: column && formats.indexOf(column.format) >= 0 ? column.format : null
+    }));
+    const rows = table.rows.map((row, rowIndex) => {
+      if (!Array.isArray(row) || row.length !== columns.length) {
+        throw new Error(`Export table row ${rowIndex + 1} does not match its ${columns.length} columns`);
+      }
+      // Empty pivot cells stay blank rather than becoming zero
+      return row.map((value, col) => (value === null || value === '' ? '' : this._cellValue(value, columns[col].format)));
+    });
+    const kinds = ['data', 'subtotal', 'total'];
+    const rowKinds = rows.map((row, index) => {
+      const kind = Array.isArray(table.rowKinds) ? table.rowKinds[index] : null;
+      return kinds.indexOf(kind) >= 0 ? kind : 'data';
+    });
+
+    return {
+      name: String(table.name || 'Table'),
+      recordCount: Number(table.recordCount) >= 0 ? Number(table.recordCount) : rows.length,
+      columns: columns,
+      headers: columns.map(column => column.label),
+      rows: rows,
+      rowKinds: rowKinds
+    };
+  }
+
+  /**
+   * Collapse contracts into one row per assigned PM, CO and CS
+   * @param {Object[]} data - Contract rows
+   * @returns {Object[]} Rows with ROLE, NAME, CONTRACT_COUNT, TOTAL_CEILING, BUREAUS
+   */
+  buildPersonnelRows(data) {
+    const people = {};
+
+    data.forEach(record => {
+      this.personnelRoles.forEach(role => {
+        const name = String(record[role.key] || '').trim();
+        if (!name) return;
+
+        const id = role.key + '|' + name.toLowerCase();
+        if (!people[id]) {
+          people[id] = { ROLE: role.label, NAME: name, CONTRACT_COUNT: 0, TOTAL_CEILING: 0, bureaus: {} };
+        }
+        people[id].CONTRACT_COUNT++;
+        people[id].TOTAL_CEILING += CurrencyUtils.parseCurrency(record.CEILING);
+        if (record.Client_Bureau) people[id].bureaus[record.Client_Bureau] = true;
+      });
+    });
+
+    return Object.keys(people).map(id => {
+      const person = people[id];
+      return {
+        ROLE: person.ROLE,
+        NAME: person.NAME,
+        CONTRACT_COUNT: person.CONTRACT_COUNT,
+        TOTAL_CEILING: person.TOTAL_CEILING,
+        BUREAUS: Object.keys(person.bureaus).sort().join(', ')
+      };
+    });
+  }
+
+  /**
+   * Compute report totals and status counts
+   * @param {Object[]} data - Contract rows
+   * @returns {Object} Summary totals
+   */
+  buildSummary(data) {
+    const statusCounts = {};
+    let totalCeiling = 0;
+    let totalIGE = 0;
+
+    data.forEach(record => {
+      totalCeiling += CurrencyUtils.parseCurrency(record.CEILING);
+      totalIGE += CurrencyUtils.parseCurrency(record.IGE);
+      const status = String(record.AWARD_STATUS || 'Unknown');
+      statusCounts[status] = (statusCounts[status] || 0) + 1;
+    });
+
+    return {
+      totalContracts: data.length,
+      totalCeiling: totalCeiling,
+      totalIGE: totalIGE,
+      byStatus: Object.keys(statusCounts)
+        .map(status => ({ status: status, count: statusCounts[status] }))
+        .sort((a, b) => b.count - a.count)
+    };
+  }
+
+  /**
+   * Describe applied filters as label/value pairs
+   * @param {FilterCriteria} filters - Applied filters
+   * @returns {Object[]} Array of { label, value }
+   */
+  describeFilters(filters) {
+    const described = [];
+    if (!filters || typeof filters !== 'object') return described;
+
+    const labels = {
+      searchText: 'Search',
+      status: 'Status',
+      organizations: 'Organization',
+      contractTypes: 'Contract Type',
+      personnel: 'Personnel',
+      myRole: 'My Contracts (role)',
+      flags: 'Flag',
+      competitionTypes: 'Competition Type',
+      commerciality: 'Commerciality',
+      awardFiscalYears: 'Award Fiscal Year',
+      programs: 'Program',
+      vehiclePools: 'Vehicle Pool',
+      awards: 'Award'
+    };
+
+    Object.keys(filters).forEach(key => {
+      const value = filters[key];
+      if (value === null || value === undefined || value === '') return;
+      if (Array.isArray(value) && value.length === 0) return;
+
+      if (key === 'dateRange') {
+        if (!value.startDate && !value.endDate) return;
+        const range = `${this._formatCell(value.startDate) || '...'} to ${this._formatCell(value.endDate) || '...'}`;
+        described.push({
+          label: `Date Range (${value.field || 'projectStart'})`,
+          value: value.preset ? `${value.preset}: ${range}` : range
+        });
+      } else if (key === 'financialRange') {
+        if (value.min === null && value.max === null) return;
+        const min = value.min !== null && value.min !== undefined ? this._formatCell(value.min, 'currency') : '...';
+        const max = value.max !== null && value.max !== undefined ? this._formatCell(value.max, 'currency') : '...';
+        described.push({ label: `Financial Range (${value.field || 'ceiling'})`, value: `${min} to ${max}` });
+      } else {
+        described.push({
+          label: labels[key] || key,
+          value: Array.isArray(value) ? value.join(', ') : String(value)
+        });
+      }
+    });
+
+    return described;
+  }
+
+  // Private helper methods
+
+  /**
+   * Look up a configuration, falling back to the default
+   * @private
+   */
+  _resolveConfiguration(name) {
+    const key = name && this.exportConfigurations[name] ? name : this.defaultConfiguration;
+    return Object.assign({ key: key }, this.exportConfigurations[key]);
+  }
+
+  /**
+   * Configuration and table for an export: the prebuilt `options.table`, or
+   * the named configuration applied to the contract rows
+   * @private
+   */
+  _resolveTable(data, options) {
+    if (options.table) {
+      const table = this.normalizeTable(options.table);
+      const name = table.name.slice(0, 100);
+      return {
+        config: { key: 'table', name: name, sheetName: name.replace(/[\[\]*?:\/\\]/g, ' ').slice(0, 90), recordCount: table.recordCount },
+        table: table
+      };
+    }
+    const config = this._resolveConfiguration(options.configuration);
+    return { config: config, table: this.buildTable(data, config) };
+  }
+
+  /**
+   * Normalize a raw value for a column format
+   * @private
+   */
+  _cellValue(value, format) {
+    if (format === 'currency' || format === 'number') {
+      return CurrencyUtils.parseCurrency(value);
+    }
+    return value === null || value === undefined ? '' : value;
+  }
+
+  /**
+   * Stable sort by a configured column
+   * @private
+   */
+  _sortRecords(records, columns, sortBy) {
+    const column = columns.find(c => c.key === sortBy.key) || { key: sortBy.key };
+    const numeric = column.format === 'currency' || column.format === 'number';
+    const direction = sortBy.direction === 'desc' ? -1 : 1;
+
+    return records
+      .map((record, index) => ({ record: record, index: index }))
+      .sort((a, b) => {
+        const av = numeric ? CurrencyUtils.parseCurrency(a.record[sortBy.key]) : String(a.record[sortBy.key] || '').toLowerCase();
+        const bv = numeric ? CurrencyUtils.parseCurrency(b.record[sortBy.key]) : String(b.record[sortBy.key] || '').toLowerCase();
+        if (av < bv) return -direction;
+        if (av > bv) return direction;
+        return a.index - b.index;
+      })
+      .map(entry => entry.record);
+  }
+
+  /**
+   * Build a subtotal or grand total row
+   * @private
+   */
+  _totalRow(columns, records, subtotalKeys, label) {
+    return columns.map((column, index) => {
+      if (subtotalKeys.indexOf(column.key) >= 0) {
+        return records.reduce((sum, record) => sum + CurrencyUtils.parseCurrency(record[column.key]), 0);
+      }
+      return index === 0 ? label : '';
+    });
+  }
+
+  /**
+   * Union of keys across all records, in first-seen order
+   * @private
+   */
+  _collectFields(data) {
+    const seen = {};
+    const fields = [];
+    data.forEach(record => {
+      Object.keys(record || {}).forEach(key => {
+        if (!seen[key]) {
+          seen[key] = true;
+          fields.push(key);
+        }
+      });
+    });
+    return fields;
+  }
+
+  /**
+   * Metadata rows shared by every format
+   * @private
+   */
+  _metadataRows(data, filters, config) {
+    let user = '';
+    try {
+      user = Session.getActiveUser().getEmail();
+    } catch (e) {
+      // Active user is unavailable for some deployment modes
+    }
+
+    const rows = [
+      ['Report', config.name],
+      ['Configuration', config.key],
+      ['Generated At', Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm:ss z')],
+      ['Generated By', user],
+      ['Record Count', config.recordCount !== undefined ? config.recordCount : data.length]
+    ];
+
+    const described = this.describeFilters(filters);
+    if (described.length === 0) {
+      rows.push(['Filters', 'None']);
+    } else {
+      described.forEach(filter => rows.push(['Filter: ' + filter.label, filter.value]));
+    }
+
+    return rows;
+  }
+
+  /**
+   * Write a header row and data rows to a sheet in one call
+   * @private
+   */
+  _writeSheet(sheet, headers, rows) {
+    if (headers.length === 0) return;
+    const values = [headers].concat(rows).map(row => row.map(value => this._neutralizeFormula(value)));
+    sheet.getRange(1, 1, values.length, headers.length).setValues(values);
+    sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold').setBackground('#003C71').setFontColor('#FFFFFF');
+    sheet.setFrozenRows(1);
+  }
+
+  /**
+   * Apply number formats and subtotal styling to the main data sheet
+   * @private
+   */
+  _formatDataSheet(sheet, table) {
+    if (table.rows.length === 0) return;
+
+    table.columns.forEach((column, index) => {
+      if (column.format === 'currency') {
+        sheet.getRange(2, index + 1, table.rows.length, 1).setNumberFormat('$#,##0.00');
+      }
+    });
+
+    table.rowKinds.forEach((kind, index) => {
+      if (kind === 'data') return;
+      sheet.getRange(index + 2, 1, 1, table.columns.length)
+        .setFontWeight('bold')
+        .setBackground(kind === 'total' ? '#C9DFF5' : '#E1F3F8');
+    });
+  }
+
+  /**
+   * Quote a row of values as one CSV line
+   * @private
+   */
+  _toCsvLine(values) {
+    return values.map(value => {
+      const str = value instanceof Date ? this._formatCell(value) : String(value === null || value === undefined ? '' : this._neutralizeFormula(value));
+      return /[",\r\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+    }).join(',');
+  }
+
+  /**
+   * Keep sheet text from running as a formula when the export is opened in a
+   * spreadsheet: text starting with =, +, -, @, tab or CR gets a leading
+   * apostrophe. Numbers and dates are left alone.
+   * @private
+   */
+  _neutralizeFormula(value) {
+    return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? "'" + value : value;
+  }
+
+  /**
+   * Format a value for display in text formats
+   * @private
+   */
+  _formatCell(value, format) {
+    if (value === null || value === undefined || value === '') return '';
+    if (format === 'currency') return CurrencyUtils.formatCurrency(CurrencyUtils.parseCurrency(value));
+    if (format === 'number') return Number(value).toLocaleString('en-US');
+    if (value instanceof Date) return DateUtils.formatDate(value, 'iso');
+    return String(value);
+  }
+
+  /**
+   * Escape text for HTML output
+   * @private
+   */
+  _escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
 }
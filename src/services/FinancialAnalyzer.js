@@ -7,6 +7,14 @@
  * FinancialAnalyzer class for financial data analysis
  */
 class FinancialAnalyzer {
+  /**
+   * Period key for contracts without a usable award date
+   * @returns {string}
+   */
+  static get UNDATED_PERIOD() {
+    return 'Undated';
+  }
+
   constructor() {
     // Default risk threshold for ceiling value warnings (90%)
     this.ceilingRiskThreshold = 0.9;
@@ -173,20 +181,19 @@ class FinancialAnalyzer {
     for (const contract of multiYearContracts) {
       const contractValue = this._parseFinancialValue(contract.awardValue);
       const yearlyAllocation = this._calculateYearlyAllocation(contract, fiscalYear);
+      const yearlyAllocations = this._getAllYearlyAllocations(contract);
       
       totalMultiYearValue += contractValue;
-      
-      if (yearlyAllocation.fiscalYear === fiscalYear) {
-        currentYearAllocation += yearlyAllocation.allocation;
-      } else if (yearlyAllocation.fiscalYear > fiscalYear) {
-        futureYearAllocations += yearlyAllocation.allocation;
-      }
+      currentYearAllocation += yearlyAllocation.allocation;
+      futureYearAllocations += yearlyAllocations
+        .filter(allocation => allocation.fiscalYear > fiscalYear)
+        .reduce((sum, allocation) => sum + allocation.allocation, 0);
 
       contractsByYear.push({
         contractId: contract.award,
         projectTitle: contract.project,
         totalValue: contractValue,
-        yearlyAllocations: this._getAllYearlyAllocations(contract)
+        yearlyAllocations: yearlyAllocations
       });
 
       budgetDistribution.push(yearlyAllocation);
@@ -202,8 +209,106 @@ class FinancialAnalyzer {
     };
   }
 
+  /**
+   * Fiscal year allocation report: each contract's value prorated into the
+   * chosen fiscal year and rolled up by client bureau and APEX portfolio, with
+   * the commitments that fall in the years after it
+   * @param {ContractData[]} contracts - Array of contract data
+   * @param {number} fiscalYear - Fiscal year to report, e.g. 2026
+   * @param {Object} [options] - { basis: 'awardValue' or 'ceiling', outYears (default 5), maxSeries (default 8) }
+   * @returns {FiscalAllocationReport} Allocation report
+   */
+  buildFiscalAllocationReport(contracts, fiscalYear, options = {}) {
+    const basis = options.basis === 'ceiling' ? 'ceiling' : 'awardValue';
+    const outYears = options.outYears || 5;
+    const maxSeries = options.maxSeries || 8;
+    const lastYear = fiscalYear + outYears;
+    const labels = [];
+    for (let year = fiscalYear; year <= lastYear; year++) {
+      labels.push('FY' + String(year).slice(-2) + (year === lastYear ? '+' : ''));
+    }
+
+    const rows = [];
+    const bureaus = new Map();
+    const portfolios = new Map();
+    const commitments = new Map(); // Bureau -> allocation per label
+    const undated = { count: 0, value: 0 };
+    let totalAllocation = 0;
+    let outYearTotal = 0;
+
+    const rollUp = (map, name, allocation) => {
+      if (!map.has(name)) map.set(name, { name, allocation: 0, contractCount: 0 });
+      const entry = map.get(name);
+      entry.allocation += allocation;
+      entry.contractCount += 1;
+    };
+
+    for (const contract of contracts || []) {
+      const startYear = contract.projectStart ? DateUtils.getFiscalYear(new Date(contract.projectStart)) : null;
+      const endYear = contract.projectEnd ? DateUtils.getFiscalYear(new Date(contract.projectEnd)) : null;
+      if (startYear === null || endYear === null) {
+        undated.count += 1;
+        undated.value += this._parseFinancialValue(contract[basis]);
+        continue;
+      }
+
+      const bureau = contract.clientBureau || 'Unknown';
+      for (const allocation of this._getAllYearlyAllocations(contract, basis)) {
+        if (allocation.fiscalYear < fiscalYear) continue;
+
+        if (allocation.fiscalYear === fiscalYear) {
+          totalAllocation += allocation.allocation;
+          rows.push({
+            contractId: contract.award,
+            title: contract.title || contract.projectTitle || '',
+            clientBureau: bureau,
+            apexName: contract.apexName || 'Unknown',
+            totalValue: this._parseFinancialValue(contract[basis]),
+            allocation: allocation.allocation,
+            percentage: allocation.percentage
+          });
+          rollUp(bureaus, bureau, allocation.allocation);
+          rollUp(portfolios, contract.apexName || 'Unknown', allocation.allocation);
+        } else {
+          outYearTotal += allocation.allocation;
+        }
+
+        if (!commitments.has(bureau)) commitments.set(bureau, labels.map(() => 0));
+        commitments.get(bureau)[Math.min(allocation.fiscalYear, lastYear) - fiscalYear] += allocation.allocation;
+      }
+    }
+
+    // Largest bureaus get their own series; the rest are combined
+    const byTotal = Array.from(commitments.entries())
+      .map(([name, values]) => ({ name, values, total: values.reduce((sum, v) => sum + v, 0) }))
+      .sort((a, b) => b.total - a.total);
+    const series = byTotal.slice(0, maxSeries).map(entry => ({ name: entry.name, values: entry.values }));
+    if (byTotal.length > maxSeries) {
+      series.push({
+        name: 'Other',
+        values: labels.map((label, i) => byTotal.slice(maxSeries).reduce((sum, entry) => sum + entry.values[i], 0))
+      });
+    }
+
+    const byAllocation = (a, b) => b.allocation - a.allocation;
+    return {
+      fiscalYear,
+      basis,
+      totalAllocation,
+      outYearTotal,
+      contractCount: rows.length,
+      undated,
+      contracts: rows.sort(byAllocation),
+      byBureau: Array.from(bureaus.values()).sort(byAllocation),
+      byApex: Array.from(portfolios.values()).sort(byAllocation),
+      outYears: { labels, series }
+    };
+  }
+
   /**
    * Identify financial risks and threshold detection
+   * AL_Extract carries no obligation or spend columns, so utilization is the
+   * IGE (awardValue) against the CEILING
    * @param {ContractData[]} contracts - Array of contract data
    * @returns {RiskAssessment[]} Array of risk assessments
    */
@@ -228,7 +333,7 @@ class FinancialAnalyzer {
             contractId: contract.award,
             riskType: 'CEILING_OVERRUN',
             severity: 'HIGH',
-            description: `Contract is at ${(utilizationRate * 100).toFixed(1)}% of ceiling value ($${awardValue.toLocaleString()} of $${ceilingValue.toLocaleString()})`,
+            description: `IGE is at ${(utilizationRate * 100).toFixed(1)}% of ceiling value ($${awardValue.toLocaleString()} of $${ceilingValue.toLocaleString()})`,
             identifiedDate: new Date(),
             recommendedActions: [
               'Review contract modifications',
@@ -248,7 +353,7 @@ class FinancialAnalyzer {
             contractId: contract.award,
             riskType: 'CEILING_WARNING',
             severity: 'MEDIUM',
-            description: `Contract approaching ceiling limit at ${(utilizationRate * 100).toFixed(1)}% utilization`,
+            description: `IGE approaching ceiling limit at ${(utilizationRate * 100).toFixed(1)}% utilization`,
             identifiedDate: new Date(),
             recommendedActions: [
               'Monitor spending trends',
@@ -266,12 +371,12 @@ class FinancialAnalyzer {
       }
 
       // Check for budget depletion risks
-      if (remainingBudget <= 0 && contract.status === 'Active') {
+      if (ceilingValue > 0 && remainingBudget <= 0 && this._isActive(contract)) {
         risks.push({
           contractId: contract.award,
           riskType: 'BUDGET_DEPLETED',
           severity: 'HIGH',
-          description: 'Contract has no remaining budget but is still active',
+          description: 'IGE has reached the ceiling but the contract is still active',
           identifiedDate: new Date(),
           recommendedActions: [
             'Verify contract status',
@@ -307,10 +412,13 @@ class FinancialAnalyzer {
 
   /**
    * Generate spending analysis by organization, sector, and time period
+   * Each group also carries `cells`, its spending per award-date period, so the
+   * result reads as a group-by-period pivot. Contracts without a usable award
+   * date fall in the UNDATED_PERIOD cell and are left out of `trends`.
    * @param {ContractData[]} contracts - Array of contract data
-   * @param {string} groupBy - Grouping criteria ('organization', 'sector', 'time')
+   * @param {string} groupBy - Grouping criteria ('organization', 'sector', 'contractType', 'time')
    * @param {string} timePeriod - Time period for analysis ('month', 'quarter', 'year')
-   * @returns {Object} Spending analysis results
+   * @returns {SpendingAnalysis} Spending analysis results
    */
   generateSpendingAnalysis(contracts, groupBy = 'organization', timePeriod = 'year') {
     if (!contracts || !Array.isArray(contracts)) {
@@ -319,6 +427,7 @@ class FinancialAnalyzer {
         timePeriod,
         totalSpending: 0,
         groupedData: [],
+        periods: [],
         trends: []
       };
     }
@@ -353,7 +462,8 @@ class FinancialAnalyzer {
           totalSpending: 0,
           contractCount: 0,
           averageContractValue: 0,
-          contracts: []
+          contracts: [],
+          cells: {}
         });
       }
 
@@ -362,9 +472,17 @@ class FinancialAnalyzer {
       groupData.contractCount += 1;
       groupData.contracts.push(contract.award);
 
+      const dated = contract.awardDate && !isNaN(new Date(contract.awardDate).getTime());
+      const cellKey = dated ? this._getTimePeriodKey(contract.awardDate, timePeriod) : FinancialAnalyzer.UNDATED_PERIOD;
+      if (!groupData.cells[cellKey]) groupData.cells[cellKey] = { totalSpending: 0, contractCount: 0, contracts: [] };
+      const cell = groupData.cells[cellKey];
+      cell.totalSpending += awardValue;
+      cell.contractCount += 1;
+      cell.contracts.push(contract.award);
+
       // Time series analysis
-      if (contract.awardDate) {
-        const timeKey = this._getTimePeriodKey(contract.awardDate, timePeriod);
+      if (dated) {
+        const timeKey = cellKey;
         if (!timeSeriesData.has(timeKey)) {
           timeSeriesData.set(timeKey, {
             period: timeKey,
@@ -383,12 +501,19 @@ class FinancialAnalyzer {
       data.averageContractValue = data.contractCount > 0 ? data.totalSpending / data.contractCount : 0;
     }
 
+    const trends = Array.from(timeSeriesData.values()).sort((a, b) => a.period.localeCompare(b.period));
+    const periods = trends.map(point => point.period);
+    if (Array.from(groupedData.values()).some(data => data.cells[FinancialAnalyzer.UNDATED_PERIOD])) {
+      periods.push(FinancialAnalyzer.UNDATED_PERIOD);
+    }
+
     return {
       groupBy,
       timePeriod,
       totalSpending,
       groupedData: Array.from(groupedData.values()).sort((a, b) => b.totalSpending - a.totalSpending),
-      trends: Array.from(timeSeriesData.values()).sort((a, b) => a.period.localeCompare(b.period))
+      periods,
+      trends
     };
   }
 
@@ -461,7 +586,7 @@ class FinancialAnalyzer {
   }
 
   /**
-   * Check if contract spans multiple years
+   * Check if contract spans multiple fiscal years
    * @private
    */
   _isMultiYearContract(contract) {
@@ -469,22 +594,24 @@ class FinancialAnalyzer {
       return false;
     }
 
-    const startYear = new Date(contract.projectStart).getFullYear();
-    const endYear = new Date(contract.projectEnd).getFullYear();
+    const startYear = DateUtils.getFiscalYear(new Date(contract.projectStart));
+    const endYear = DateUtils.getFiscalYear(new Date(contract.projectEnd));
     
-    return endYear > startYear;
+    return startYear !== null && endYear !== null && endYear > startYear;
   }
 
   /**
    * Calculate yearly budget allocation for a contract
+   * Value is prorated by days of the period of performance, counting both
+   * the first and last day, so a contract's fiscal years add up to 100%
    * @private
    */
-  _calculateYearlyAllocation(contract, fiscalYear) {
-    const totalValue = this._parseFinancialValue(contract.awardValue);
-    const startDate = new Date(contract.projectStart);
-    const endDate = new Date(contract.projectEnd);
+  _calculateYearlyAllocation(contract, fiscalYear, basis = 'awardValue') {
+    const totalValue = this._parseFinancialValue(contract[basis]);
+    const startDate = contract.projectStart ? new Date(contract.projectStart) : null;
+    const endDate = contract.projectEnd ? new Date(contract.projectEnd) : null;
     
-    if (!startDate || !endDate) {
+    if (!startDate || !endDate || isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
       return {
         fiscalYear,
         allocation: totalValue,
@@ -492,12 +619,12 @@ class FinancialAnalyzer {
       };
     }
 
-    const totalDays = (endDate - startDate) / (1000 * 60 * 60 * 24);
-    const fiscalYearStart = new Date(fiscalYear - 1, 9, 1); // Oct 1
-    const fiscalYearEnd = new Date(fiscalYear, 8, 30); // Sep 30
+    const dayMs = 1000 * 60 * 60 * 24;
+    const totalDays = Math.round((endDate - startDate) / dayMs) + 1;
+    const period = DateUtils.getFiscalPeriod(fiscalYear);
 
-    const overlapStart = new Date(Math.max(startDate, fiscalYearStart));
-    const overlapEnd = new Date(Math.min(endDate, fiscalYearEnd));
+    const overlapStart = new Date(Math.max(startDate, period.startDate));
+    const overlapEnd = new Date(Math.min(endDate, period.endDate));
 
     if (overlapStart > overlapEnd) {
       return {
@@ -507,7 +634,7 @@ class FinancialAnalyzer {
       };
     }
 
-    const overlapDays = (overlapEnd - overlapStart) / (1000 * 60 * 60 * 24);
+    const overlapDays = Math.round((overlapEnd - overlapStart) / dayMs) + 1;
     const percentage = totalDays > 0 ? (overlapDays / totalDays) * 100 : 0;
     const allocation = (percentage / 100) * totalValue;
 
@@ -522,17 +649,20 @@ class FinancialAnalyzer {
    * Get all yearly allocations for a contract
    * @private
    */
-  _getAllYearlyAllocations(contract) {
+  _getAllYearlyAllocations(contract, basis = 'awardValue') {
     if (!contract.projectStart || !contract.projectEnd) {
       return [];
     }
 
-    const startYear = new Date(contract.projectStart).getFullYear();
-    const endYear = new Date(contract.projectEnd).getFullYear();
+    const startYear = DateUtils.getFiscalYear(new Date(contract.projectStart));
+    const endYear = DateUtils.getFiscalYear(new Date(contract.projectEnd));
     const allocations = [];
+    if (startYear === null || endYear === null) {
+      return allocations;
+    }
 
-    for (let year = startYear; year <= endYear + 1; year++) {
-      const allocation = this._calculateYearlyAllocation(contract, year);
+    for (let year = startYear; year <= endYear; year++) {
+      const allocation = this._calculateYearlyAllocation(contract, year, basis);
       if (allocation.allocation > 0) {
         allocations.push(allocation);
       }
@@ -546,7 +676,7 @@ class FinancialAnalyzer {
    * @private
    */
   _assessTimelineBudgetRisk(contract) {
-    if (!contract.projectEnd || contract.status !== 'Active') {
+    if (!contract.projectEnd || !this._isActive(contract)) {
       return null;
     }
 
@@ -555,16 +685,20 @@ class FinancialAnalyzer {
     const daysRemaining = Math.ceil((endDate - now) / (1000 * 60 * 60 * 24));
     
     const awardValue = this._parseFinancialValue(contract.awardValue);
+    const ceilingValue = this._parseFinancialValue(contract.ceiling);
     const remainingBudget = this._parseFinancialValue(contract.remainingBudget);
-    const budgetUtilization = awardValue > 0 ? (awardValue - remainingBudget) / awardValue : 0;
+    if (ceilingValue <= 0) {
+      return null;
+    }
+    const budgetUtilization = awardValue / ceilingValue;
 
     // Risk if timeline is short but budget utilization is low
-    if (daysRemaining <= 30 && budgetUtilization < 0.5) {
+    if (daysRemaining >= 0 && daysRemaining <= 30 && budgetUtilization < 0.5) {
       return {
         contractId: contract.award,
         riskType: 'TIMELINE_BUDGET_MISMATCH',
         severity: 'MEDIUM',
-        description: `Contract ends in ${daysRemaining} days but only ${(budgetUtilization * 100).toFixed(1)}% of budget utilized`,
+        description: `Contract ends in ${daysRemaining} days but IGE is only ${(budgetUtilization * 100).toFixed(1)}% of ceiling`,
         identifiedDate: new Date(),
         recommendedActions: [
           'Review project progress',
@@ -582,6 +716,14 @@ class FinancialAnalyzer {
     return null;
   }
 
+  /**
+   * Whether the contract is active; the extract writes statuses in capitals
+   * @private
+   */
+  _isActive(contract) {
+    return String(contract.status || '').trim().toUpperCase() === 'ACTIVE';
+  }
+
   /**
    * Assess unusual financial patterns
    * @private
@@ -0,0 +1,273 @@
+/**
+ * SavedViewService - Named filter views stored per user
+ * Views live in UserProperties under a key scoped to the signed-in user. The
+ * web app executes as the deploying user, so UserProperties alone would be
+ * shared by everyone; the user suffix keeps each analyst's views separate.
+ * That also means every user's views share the deployer's one UserProperties
+ * store, which Apps Script caps at 500KB in total (9KB per value). Writes take
+ * the script lock so two users saving at once cannot overwrite each other, and
+ * a save that would push the shared store past its cap is refused up front.
+ */
+
+/**
+ * SavedViewService class for managing saved filter views
+ */
+class SavedViewService {
+  constructor() {
+    this.propertyPrefix = 'SAVED_VIEWS_';
+    this.maxViews = 25;
+    this.maxNameLength = 60;
+    this.maxStoredSize = 9000; // UserProperties values are capped at 9KB
+    this.maxTotalSize = 480000; // Whole store is capped at 500KB; leave headroom
+    this.lockTimeoutMs = 10000;
+  }
+
+  /**
+   * Get the current user's saved views
+   * @returns {Object} { views: SavedView[], defaultViewId }
+   */
+  getViews() {
+    const store = this._load();
+    return { views: store.views, defaultViewId: store.defaultViewId };
+  }
+
+  /**
+   * Save a view. An existing view is updated when `options.id` is given or a
+   * view with the same name (case-insensitive) exists.
+   * @param {string} name - View name
+   * @param {FilterViewState} state - Filter controls to capture
+   * @param {Object} [options] - { id, makeDefault }
+   * @returns {SavedView} Stored view
+   */
+  saveView(name, state, options = {}) {
+    const cleanName = this._validateName(name);
+    return this._update(store => this._applySave(store, cleanName, state, options));
+  }
+
+  /**
+   * Rename a view
+   * @param {string} id - View ID
+   * @param {string} name - New name
+   * @returns {SavedView} Renamed view
+   */
+  renameView(id, name) {
+    const cleanName = this._validateName(name);
+    return this._update(store => {
+      const view = this._find(store, id);
+      if (store.views.some(v => v.id !== id && v.name.toLowerCase() === cleanName.toLowerCase())) {
+        throw new Error(`A view named "${cleanName}" already exists`);
+      }
+
+      view.name = cleanName;
+      view.updatedAt = new Date().toISOString();
+      return view;
+    });
+  }
+
+  /**
+   * Delete a view; clears the default if it pointed at this view
+   * @param {string} id - View ID
+   */
+  deleteView(id) {
+    this._update(store => {
+      this._find(store, id);
+      store.views = store.views.filter(v => v.id !== id);
+      if (store.defaultViewId === id) store.defaultViewId = null;
+    });
+  }
+
+  /**
+   * Mark a view as the one applied on load
+   * @param {string|null} id - View ID, or null to clear the default
+   */
+  setDefaultView(id) {
+    this._update(store => {
+      if (id) this._find(store, id);
+      store.defaultViewId = id || null;
+    });
+  }
+
+  // Private helper methods
+
+  /**
+   * Add or update a view in a loaded store
+   * @private
+   */
+  _applySave(store, cleanName, state, options) {
+    const now = new Date().toISOString();
+
+    let view = options.id
+      ? store.views.find(v => v.id === options.id)
+      : store.views.find(v => v.name.toLowerCase() === cleanName.toLowerCase());
+
+    if (options.id && !view) {
+      throw new Error(`Saved view not found: ${options.id}`);
+    }
+
+    if (view) {
+      view.name = cleanName;
+      view.state = this._sanitizeState(state);
+      view.updatedAt = now;
+    } else {
+      if (store.views.length >= this.maxViews) {
+        throw new Error(`You can save up to ${this.maxViews} views; delete one first`);
+      }
+      view = {
+        id: Utilities.getUuid(),
+        name: cleanName,
+        state: this._sanitizeState(state),
+        createdAt: now,
+        updatedAt: now
+      };
+      store.views.push(view);
+    }
+
+    if (options.makeDefault) store.defaultViewId = view.id;
+    return view;
+  }
+
+  /**
+   * Load, change and store the user's views under the script lock
+   * @private
+   * @param {Function} change - Receives the store, mutates it and returns the result
+   */
+  _update(change) {
+    const lock = LockService.getScriptLock();
+    try {
+      lock.waitLock(this.lockTimeoutMs);
+    } catch (error) {
+      throw new Error('Saved views are busy; try again in a moment');
+    }
+    try {
+      const store = this._load();
+      const result = change(store);
+      this._store(store);
+      return result;
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  /**
+   * Property key for the signed-in user
+   * @private
+   */
+  _propertyKey() {
+    let user = '';
+    try {
+      user = Session.getActiveUser().getEmail();
+    } catch (error) {
+      user = '';
+    }
+    // Outside the domain the email is hidden; the temporary key is still stable per user
+    return this.propertyPrefix + (user || Session.getTemporaryActiveUserKey());
+  }
+
+  /**
+   * @private
+   */
+  _load() {
+    const stored = PropertiesService.getUserProperties().getProperty(this._propertyKey());
+    if (!stored) return { views: [], defaultViewId: null };
+    try {
+      const store = JSON.parse(stored);
+      return {
+        views: Array.isArray(store.views) ? store.views : [],
+        defaultViewId: store.defaultViewId || null
+      };
+    } catch (error) {
+      console.error('Unreadable saved views, starting over:', error);
+      return { views: [], defaultViewId: null };
+    }
+  }
+
+  /**
+   * @private
+   */
+  _store(store) {
+    const json = JSON.stringify(store);
+    if (json.length > this.maxStoredSize) {
+      throw new Error('Saved views are too large to store; delete a view or shorten its filters');
+    }
+
+    const properties = PropertiesService.getUserProperties();
+    const key = this._propertyKey();
+    if (this._otherUsersSize(properties.getProperties(), key) + key.length + json.length > this.maxTotalSize) {
+      throw new Error('Saved view storage for this dashboard is full; ask the owner to clear old views');
+    }
+
+    try {
+      properties.setProperty(key, json);
+    } catch (error) {
+      if (!/quota|storage/i.test(error && error.message)) throw error;
+      console.error('Saved views write failed:', error);
+      throw new Error('Saved view storage for this dashboard is full; ask the owner to clear old views');
+    }
+  }
+
+  /**
+   * Characters the store already holds for everyone but this user
+   * @private
+   */
+  _otherUsersSize(all, key) {
+    return Object.keys(all).reduce((size, name) =>
+      (name === key ? size : size + name.length + String(all[name]).length), 0);
+  }
+
+  /**
+   * @private
+   */
+  _find(store, id) {
+    const view = store.views.find(v => v.id === id);
+    if (!view) throw new Error(`Saved view not found: ${id}`);
+    return view;
+  }
+
+  /**
+   * @private
+   */
+  _validateName(name) {
+    const cleanName = String(name || '').trim();
+    if (!cleanName) throw new Error('View name is required');
+    if (cleanName.length > this.maxNameLength) {
+      throw new Error(`View name must be ${this.maxNameLength} characters or fewer`);
+    }
+    return cleanName;
+  }
+
+  /**
+   * Keep only known filter fields with the expected types
+   * @private
+   */
+  _sanitizeState(state) {
+    const source = state || {};
+    const text = value => (value === null || value === undefined ? '' : String(value));
+    const list = value => (Array.isArray(value) ? value.map(String) : []);
+    const pageSize = parseInt(source.pageSize, 10);
+
+    return {
+      searchText: text(source.searchText),
+      status: list(source.status),
+      organizations: list(source.organizations),
+      contractTypes: list(source.contractTypes),
+      personnel: list(source.personnel),
+      myRole: ['any', 'PM', 'CO', 'CS'].indexOf(source.myRole) >= 0 ? source.myRole : '',
+      flags: list(source.flags),
+      competitionTypes: list(source.competitionTypes),
+      commerciality: list(source.commerciality),
+      awardFiscalYears: list(source.awardFiscalYears),
+      programs: list(source.programs),
+      vehiclePools: list(source.vehiclePools),
+      dateField: text(source.dateField) || 'projectStart',
+      dateStart: text(source.dateStart),
+      dateEnd: text(source.dateEnd),
+      datePreset: text(source.datePreset),
+      financialField: text(source.financialField) || 'ceiling',
+      financialMin: text(source.financialMin),
+      financialMax: text(source.financialMax),
+      sortColumn: source.sortColumn ? String(source.sortColumn) : null,
+      sortDirection: source.sortDirection === 'desc' ? 'desc' : 'asc',
+      pageSize: pageSize > 0 ? pageSize : 50
+    };
+  }
+}
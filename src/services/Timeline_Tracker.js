@@ -186,11 +186,11 @@ class Timeline_Tracker {
       });
     }
 
-    // Completion milestone (if different from project end)
+    // Estimated ultimate completion milestone (if different from project end)
     if (contract.completionDate && 
         (!contract.projectEnd || contract.completionDate.getTime() !== contract.projectEnd.getTime())) {
       milestones.push({
-        name: 'Actual Completion',
+        name: 'Estimated Completion',
         date: contract.completionDate,
         type: 'completion',
         status: this.getMilestoneStatus(contract.completionDate, today),
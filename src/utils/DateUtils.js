@@ -350,4 +350,64 @@ class DateUtils {
     // If month is October (9) or later, fiscal year is next calendar year
     return month >= 9 ? year + 1 : year;
   }
+
+  /**
+   * Get fiscal quarter from date (Q1 is October through December)
+   * @param {Date} date - Date to get fiscal quarter for
+   * @returns {number} Fiscal quarter 1-4
+   */
+  static getFiscalQuarter(date) {
+    if (!date || !(date instanceof Date) || isNaN(date.getTime())) {
+      return null;
+    }
+
+    return Math.floor(((date.getMonth() + 3) % 12) / 3) + 1;
+  }
+
+  /**
+   * First and last day of a fiscal year, or of one of its quarters
+   * @param {number} fiscalYear - Fiscal year, e.g. 2026
+   * @param {number} [quarter] - Fiscal quarter 1-4; omit for the whole year
+   * @returns {Object} { startDate, endDate }
+   */
+  static getFiscalPeriod(fiscalYear, quarter) {
+    // Months counted from January of the calendar year the fiscal year starts in
+    const startMonth = quarter ? 9 + (quarter - 1) * 3 : 9;
+    return {
+      startDate: new Date(fiscalYear - 1, startMonth, 1),
+      endDate: new Date(fiscalYear - 1, startMonth + (quarter ? 3 : 12), 0)
+    };
+  }
+
+  /**
+   * Resolve a named date range: FY26, FY26Q2, thisfy, nextfy, lastfy,
+   * thisyear, today, next120d or last30d (the same presets as the dashboard)
+   * @param {string} preset - Preset name (case and spaces are ignored)
+   * @param {Date} [today] - Reference date
+   * @returns {Object|null} { startDate, endDate }, or null if not a preset
+   */
+  static resolveDatePreset(preset, today = new Date()) {
+    const value = String(preset || '').toLowerCase().replace(/\s+/g, '');
+    const day = offset => new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset);
+    const currentFy = this.getFiscalYear(day(0));
+    let match;
+
+    if ((match = value.match(/^fy(\d{2}|\d{4})(?:q([1-4]))?$/))) {
+      const fiscalYear = match[1].length === 2 ? 2000 + Number(match[1]) : Number(match[1]);
+      return this.getFiscalPeriod(fiscalYear, match[2] ? Number(match[2]) : undefined);
+    }
+    const relativeYears = { thisfy: 0, nextfy: 1, lastfy: -1 };
+    if (relativeYears.hasOwnProperty(value)) return this.getFiscalPeriod(currentFy + relativeYears[value]);
+    if (value === 'thisyear') {
+      return { startDate: new Date(today.getFullYear(), 0, 1), endDate: new Date(today.getFullYear(), 11, 31) };
+    }
+    if (value === 'today') return { startDate: day(0), endDate: day(0) };
+    if ((match = value.match(/^(next|last)(\d{1,4})d$/))) {
+      const days = Number(match[2]);
+      return match[1] === 'next'
+        ? { startDate: day(0), endDate: day(days) }
+        : { startDate: day(-days), endDate: day(0) };
+    }
+    return null;
+  }
 }
\ No newline at end of file
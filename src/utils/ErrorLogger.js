@@ -10,6 +10,7 @@ class ErrorLogger {
   constructor() {
     this.errorLog = [];
     this.maxLogSize = 1000; // Maximum number of log entries to keep
+    this.consoleEnabled = true; // Batch validation turns this off to avoid one console line per field error
     this.logLevels = {
       ERROR: 'ERROR',
       WARN: 'WARN', 
@@ -50,7 +51,9 @@ class ErrorLogger {
     }
 
     // Console logging for development
-    this.consoleLog(logEntry);
+    if (this.consoleEnabled) {
+      this.consoleLog(logEntry);
+    }
     
     return errorId;
   }
@@ -1,7 +1,13 @@
 /**
  * Extracted pure functions from scripts.html for testing.
  * These mirror the logic in the dashboard client code.
+ * Server classes are loaded from src as-is, over in-memory Apps Script services.
  */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const zlib = require('zlib');
+const crypto = require('crypto');
 
 // --- Currency Parser ---
 // Handles both raw numbers and currency-formatted strings like "$3,714,230.41"
@@ -109,19 +115,49 @@ function filterByOrganizations(data, selectedOrgs) {
   });
 }
 
+// Date range filter columns by dateFieldSelect value
+var DATE_FILTER_FIELDS = { awardDate: 'AWARD_DATE', projectStart: 'PROJECT_START', projectEnd: 'PROJECT_END', completion: 'EST_ULTIMATE_COMPLETION' };
+var FISCAL_QUARTER_MONTHS = ['Oct–Dec', 'Jan–Mar', 'Apr–Jun', 'Jul–Sep'];
+
+// Keep contracts whose date falls within the inclusive 'yyyy-MM-dd' bounds
 function filterByDateRange(data, dateField, startDate, endDate) {
   if (!startDate && !endDate) return data;
+  var key = DATE_FILTER_FIELDS[dateField] || 'PROJECT_START';
   return data.filter(function(c) {
-    var field = dateField === 'projectEnd' ? c.PROJECT_END : c.PROJECT_START;
-    if (!field) return false;
-    var d = new Date(field);
-    if (isNaN(d.getTime())) return false;
-    if (startDate && d < new Date(startDate)) return false;
-    if (endDate && d > new Date(endDate)) return false;
+    var day = c[key] ? toIsoDay(c[key]) : null;
+    if (!day) return false;
+    if (startDate && day < startDate) return false;
+    if (endDate && day > endDate) return false;
     return true;
   });
 }
 
+// Label for a preset, e.g. FY26Q2 -> "FY26 Q2", next120d -> "Next 120 days"
+function describeDatePreset(preset) {
+  var v = String(preset || '').toLowerCase().replace(/\s+/g, '');
+  var named = { thisfy: 'Current FY', nextfy: 'Next FY', lastfy: 'Last FY', thisyear: 'This year', today: 'Today' };
+  var m;
+  if (named[v]) return named[v];
+  if ((m = v.match(/^fy(\d{2}|\d{4})(?:q([1-4]))?$/))) return 'FY' + m[1] + (m[2] ? ' Q' + m[2] : '');
+  if ((m = v.match(/^(next|last)(\d+)d$/))) return (m[1] === 'next' ? 'Next ' : 'Last ') + m[2] + ' days';
+  return String(preset || '');
+}
+
+// Fiscal years from two back to one ahead, each followed by its quarters
+function buildFiscalPeriodOptions(today) {
+  var now = today || new Date();
+  var currentFy = now.getFullYear() + (now.getMonth() >= 9 ? 1 : 0);
+  var options = [];
+  for (var fy = currentFy - 2; fy <= currentFy + 1; fy++) {
+    var name = 'FY' + String(fy).slice(-2);
+    options.push({ value: name, label: name + (fy === currentFy ? ' (current)' : '') });
+    for (var q = 1; q <= 4; q++) {
+      options.push({ value: name + 'Q' + q, label: name + ' Q' + q + ' (' + FISCAL_QUARTER_MONTHS[q - 1] + ')' });
+    }
+  }
+  return options;
+}
+
 function filterByFinancialRange(data, min, max) {
   if (min === null && max === null) return data;
   return data.filter(function(c) {
@@ -132,10 +168,1012 @@ function filterByFinancialRange(data, min, max) {
   });
 }
 
+// Keep only contracts whose AWARD is in the list (an empty list keeps everything)
+function filterByAwards(data, awards) {
+  if (!awards || awards.length === 0) return data;
+  return data.filter(function(c) {
+    return awards.indexOf(String(c.AWARD || '')) >= 0;
+  });
+}
+
+// Email columns checked for each "My Contracts" choice
+var ROLE_EMAIL_KEYS = { any: ['PM_EMAIL', 'CO_EMAIL', 'CS_EMAIL'], PM: ['PM_EMAIL'], CO: ['CO_EMAIL'], CS: ['CS_EMAIL'] };
+
+// Keep only contracts naming the user in the role's email columns; without an email nothing matches
+function filterByMyRole(data, role, email) {
+  var keys = ROLE_EMAIL_KEYS[role];
+  if (!keys) return data;
+  var me = String(email || '').trim().toLowerCase();
+  return data.filter(function(c) {
+    if (!me) return false;
+    return keys.some(function(k) { return String(c[k] || '').trim().toLowerCase() === me; });
+  });
+}
+
 function clearAllFilters(originalData) {
   return originalData.slice();
 }
 
+// --- Data quality issue grouping ---
+function groupQualityIssues(issues, groups) {
+  var byKey = {};
+  var result = [];
+  groups.forEach(function(g) {
+    byKey[g.key] = { key: g.key, title: g.title, issues: [] };
+    result.push(byKey[g.key]);
+  });
+  (issues || []).forEach(function(issue) {
+    var key = issue.category || 'other';
+    if (!byKey[key]) {
+      byKey[key] = { key: key, title: key, issues: [] };
+      result.push(byKey[key]);
+    }
+    byKey[key].issues.push(issue);
+  });
+  return result.filter(function(g) { return g.issues.length > 0; });
+}
+
+// --- Financial risk grouping ---
+var RISK_SEVERITIES = ['HIGH', 'MEDIUM', 'LOW'];
+
+// Bucket risks by severity, in RISK_SEVERITIES order; unknown severities go
+// last. riskType narrows the list when given
+function groupRisksBySeverity(risks, riskType) {
+  var byKey = {};
+  var groups = RISK_SEVERITIES.map(function(severity) {
+    byKey[severity] = { severity: severity, risks: [] };
+    return byKey[severity];
+  });
+  (risks || []).forEach(function(risk) {
+    if (riskType && risk.riskType !== riskType) return;
+    var severity = String(risk.severity || 'UNKNOWN').toUpperCase();
+    if (!byKey[severity]) {
+      byKey[severity] = { severity: severity, risks: [] };
+      groups.push(byKey[severity]);
+    }
+    byKey[severity].risks.push(risk);
+  });
+  return groups.filter(function(g) { return g.risks.length > 0; });
+}
+
+// --- Search query language ---
+// Terms are ANDed: field:value, "quoted phrases", -negation or NOT, OR between
+// terms, and comparisons on money (ceiling>5M) and dates (end<2026-03-31, end:FY26)
+var SEARCH_TEXT_KEYS = ['AWARD', 'PROJECT', 'PROJECT_TITLE', 'Client_Bureau', 'client_organization', 'AWARD_STATUS', 'AWARD_TITLE'];
+var SEARCH_FIELDS = {
+  award: { keys: ['AWARD'], type: 'text', hint: 'Award number' },
+  project: { keys: ['PROJECT'], type: 'text', hint: 'Project number' },
+  title: { keys: ['AWARD_TITLE', 'PROJECT_TITLE'], type: 'text', hint: 'Award or project title' },
+  status: { keys: ['AWARD_STATUS'], type: 'exact', hint: 'Award status' },
+  type: { keys: ['CONTRACT_TYPE'], type: 'contractType', hint: 'Contract type, e.g. type:FFP' },
+  org: { keys: ['Client_Bureau', 'client_organization'], type: 'text', hint: 'Client organization' },
+  pm: { keys: ['PM'], type: 'text', hint: 'Project manager' },
+  co: { keys: ['CO'], type: 'text', hint: 'Contracting officer' },
+  cs: { keys: ['CS'], type: 'text', hint: 'Contract specialist' },
+  flags: { keys: ['FLAGS'], type: 'text', hint: 'Flags' },
+  ceiling: { keys: ['CEILING'], type: 'money', hint: 'Ceiling, e.g. ceiling>5M' },
+  value: { keys: ['IGE'], type: 'money', hint: 'Award value, e.g. value<=250K' },
+  start: { keys: ['PROJECT_START'], type: 'date', hint: 'Project start, e.g. start>=2025-10-01' },
+  end: { keys: ['PROJECT_END'], type: 'date', hint: 'Project end, e.g. end:thisfy' },
+  awarded: { keys: ['AWARD_DATE'], type: 'date', hint: 'Award date, e.g. awarded:FY25Q3' },
+  completion: { keys: ['EST_ULTIMATE_COMPLETION'], type: 'date', hint: 'Estimated ultimate completion, e.g. completion:next120d' },
+  idv: { keys: ['REFERENCED_IDV_NUMBER', 'AWARD'], type: 'text', hint: 'Parent IDV number; matches the IDV and its orders' },
+  family: { keys: ['REFERENCED_IDV_FAMILY'], type: 'text', hint: 'IDV family' }
+};
+var SEARCH_FIELD_ALIASES = { client: 'org', bureau: 'org', ige: 'value' };
+// The extract spells contract types out ("J - Firm Fixed Price"); type: accepts
+// the usual abbreviations, the one-letter FPDS code or any part of the name
+var CONTRACT_TYPE_ABBREVIATIONS = {
+  ffp: 'firm fixed price',
+  fp: 'fixed price',
+  fpepa: 'fixed price with economic price adjustment',
+  fpi: 'fixed price incentive',
+  fpif: 'fixed price incentive',
+  fpaf: 'fixed price award fee',
+  'fp-loe': 'fixed price level of effort',
+  tm: 'time and materials',
+  't&m': 'time and materials',
+  lh: 'labor hours',
+  cpff: 'cost plus fixed fee',
+  cpaf: 'cost plus award fee',
+  cpif: 'cost plus incentive fee'
+};
+
+// Split on whitespace outside double quotes, keeping positions for autocomplete
+function tokenizeSearchQuery(text) {
+  var s = String(text || '');
+  var tokens = [];
+  var i = 0;
+  while (i < s.length) {
+    if (/\s/.test(s.charAt(i))) { i++; continue; }
+    var start = i;
+    var inQuote = false;
+    while (i < s.length && (inQuote || !/\s/.test(s.charAt(i)))) {
+      if (s.charAt(i) === '"') inQuote = !inQuote;
+      i++;
+    }
+    tokens.push({ text: s.slice(start, i), start: start, end: i });
+  }
+  return tokens;
+}
+
+// Parse into AND-ed groups of OR-ed terms: { groups: [[term, ...], ...], errors: [] }
+function parseSearchQuery(text, today) {
+  var groups = [];
+  var errors = [];
+  var joinNext = false;
+  var negateNext = false;
+  tokenizeSearchQuery(text).forEach(function(token) {
+    if (token.text === 'OR' || token.text === '|') { joinNext = groups.length > 0; return; }
+    if (token.text === 'AND') return;
+    if (token.text === 'NOT') { negateNext = true; return; }
+    var term = parseSearchTerm(token.text, today);
+    if (negateNext) {
+      term.negate = !term.negate;
+      negateNext = false;
+    }
+    if (term.skip || term.error) {
+      if (term.error) errors.push(term.error);
+      joinNext = false;
+      return;
+    }
+    if (joinNext) groups[groups.length - 1].push(term);
+    else groups.push([term]);
+    joinNext = false;
+  });
+  return { groups: groups, errors: errors };
+}
+
+function parseSearchTerm(raw, today) {
+  var negate = false;
+  if (raw.length > 1 && raw.charAt(0) === '-') {
+    negate = true;
+    raw = raw.slice(1);
+  }
+  var m = raw.match(/^([A-Za-z_]+)(>=|<=|:|=|>|<)(.*)$/);
+  var name = m ? m[1].toLowerCase() : null;
+  if (name && SEARCH_FIELD_ALIASES[name]) name = SEARCH_FIELD_ALIASES[name];
+  var field = name ? SEARCH_FIELDS[name] : null;
+
+  // Unknown prefixes (e.g. "A1:B2") are plain text
+  if (!field) {
+    var text = unquoteSearchValue(raw).toLowerCase();
+    return text ? { keys: SEARCH_TEXT_KEYS, type: 'text', op: ':', value: text, negate: negate } : { skip: true };
+  }
+
+  var value = unquoteSearchValue(m[3]);
+  if (value === '') return { skip: true }; // Still typing
+  var term = { field: name, keys: field.keys, type: field.type, op: m[2] === '=' ? ':' : m[2], value: value.toLowerCase(), negate: negate };
+
+  if (field.type === 'money') {
+    term.amount = parseMoneyValue(value);
+    if (isNaN(term.amount)) return { error: 'Not an amount: ' + name + m[2] + value };
+  } else if (field.type === 'date') {
+    var bounds = parseDateBounds(value, today);
+    if (!bounds) return { error: 'Not a date: ' + name + m[2] + value + ' (use 2026-03-31, 2026-03, 2026, FY26, thisfy or today)' };
+    term.from = bounds.from;
+    term.to = bounds.to;
+  } else if (term.op !== ':') {
+    return { error: 'Use ' + name + ':value; ' + m[2] + ' only works on amounts and dates' };
+  }
+  return term;
+}
+
+function unquoteSearchValue(value) {
+  var v = String(value || '');
+  if (v.charAt(0) === '"') v = v.slice(1);
+  if (v.charAt(v.length - 1) === '"') v = v.slice(0, -1);
+  return v.trim();
+}
+
+// "$1,500", "250K", "5M", "1.2B" -> number (NaN when unreadable)
+function parseMoneyValue(value) {
+  var m = String(value).replace(/[$,\s]/g, '').match(/^(-?\d+(?:\.\d+)?)([kmb])?$/i);
+  if (!m) return NaN;
+  var scale = { k: 1e3, m: 1e6, b: 1e9 };
+  return parseFloat(m[1]) * (m[2] ? scale[m[2].toLowerCase()] : 1);
+}
+
+// Inclusive 'yyyy-MM-dd' bounds for a day, month, year, federal fiscal year
+// (FY26 = 2025-10-01..2026-09-30) or quarter (FY26Q2 = Jan-Mar 2026),
+// thisfy/nextfy/lastfy, thisyear, today, or days around today (next120d, last30d)
+function parseDateBounds(value, today) {
+  var v = String(value).toLowerCase().replace(/\s+/g, '');
+  var now = today || new Date();
+  var m;
+  function pad(n) { return (n < 10 ? '0' : '') + n; }
+  function lastDay(y, mo) { return new Date(y, mo, 0).getDate(); }
+  function fiscalYear(fy) { return { from: (fy - 1) + '-10-01', to: fy + '-09-30' }; }
+  function day(offset) {
+    var d = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+    return d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate());
+  }
+  var currentFy = now.getFullYear() + (now.getMonth() >= 9 ? 1 : 0);
+
+  if ((m = v.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+    var y = +m[1], mo = +m[2], d = +m[3];
+    if (mo < 1 || mo > 12 || d < 1 || d > lastDay(y, mo)) return null;
+    var iso = y + '-' + pad(mo) + '-' + pad(d);
+    return { from: iso, to: iso };
+  }
+  if ((m = v.match(/^(\d{4})-(\d{1,2})$/))) {
+    if (+m[2] < 1 || +m[2] > 12) return null;
+    return { from: m[1] + '-' + pad(+m[2]) + '-01', to: m[1] + '-' + pad(+m[2]) + '-' + pad(lastDay(+m[1], +m[2])) };
+  }
+  if ((m = v.match(/^(\d{4})$/))) return { from: m[1] + '-01-01', to: m[1] + '-12-31' };
+  if ((m = v.match(/^fy(\d{2}|\d{4})$/))) return fiscalYear(m[1].length === 2 ? 2000 + +m[1] : +m[1]);
+  if ((m = v.match(/^fy(\d{2}|\d{4})q([1-4])$/))) {
+    // Q1 is October-December of the previous calendar year
+    var qy = (m[1].length === 2 ? 2000 + +m[1] : +m[1]) - (m[2] === '1' ? 1 : 0);
+    var qm = m[2] === '1' ? 10 : (+m[2] - 2) * 3 + 1;
+    return { from: qy + '-' + pad(qm) + '-01', to: qy + '-' + pad(qm + 2) + '-' + pad(lastDay(qy, qm + 2)) };
+  }
+  if (v === 'thisfy') return fiscalYear(currentFy);
+  if (v === 'nextfy') return fiscalYear(currentFy + 1);
+  if (v === 'lastfy') return fiscalYear(currentFy - 1);
+  if (v === 'thisyear') return { from: now.getFullYear() + '-01-01', to: now.getFullYear() + '-12-31' };
+  if (v === 'today') return { from: day(0), to: day(0) };
+  if ((m = v.match(/^next(\d{1,4})d$/))) return { from: day(0), to: day(+m[1]) };
+  if ((m = v.match(/^last(\d{1,4})d$/))) return { from: day(-m[1]), to: day(0) };
+  return null;
+}
+
+// 'yyyy-MM-dd' for a sheet date value, or null
+function toIsoDay(value) {
+  var s = String(value);
+  if (/^\d{4}-\d{2}-\d{2}/.test(s)) return s.slice(0, 10);
+  var d = new Date(s);
+  if (isNaN(d.getTime())) return null;
+  return d.getFullYear() + '-' + ('0' + (d.getMonth() + 1)).slice(-2) + '-' + ('0' + d.getDate()).slice(-2);
+}
+
+// row is the contract's position in contractData, for terms with index matches
+function matchesSearchQuery(c, query, row) {
+  for (var i = 0; i < query.groups.length; i++) {
+    var group = query.groups[i];
+    var any = false;
+    for (var j = 0; j < group.length && !any; j++) any = matchesSearchTerm(c, group[j], row);
+    if (!any) return false;
+  }
+  return true;
+}
+
+function matchesSearchTerm(c, term, row) {
+  var hit = !!(term.indexRows && row !== undefined && term.indexRows[row] !== undefined);
+  for (var i = 0; i < term.keys.length && !hit; i++) {
+    var raw = c[term.keys[i]];
+    if (raw === '' || raw === null || raw === undefined) continue;
+    hit = searchValueMatches(raw, term);
+  }
+  return term.negate ? !hit : hit;
+}
+
+function contractTypeMatches(raw, value) {
+  var text = String(raw).toLowerCase();
+  if (text === value) return true;
+  var parts = text.match(/^([a-z0-9]) - (.*)$/);
+  if (/^[a-z0-9]$/.test(value)) return !!parts && parts[1] === value;
+  return text.indexOf(CONTRACT_TYPE_ABBREVIATIONS[value] || value) >= 0;
+}
+
+function searchValueMatches(raw, term) {
+  if (term.type === 'exact') return String(raw).toLowerCase() === term.value;
+  if (term.type === 'contractType') return contractTypeMatches(raw, term.value);
+  if (term.type === 'money') {
+    var n = parseCurrency(raw);
+    switch (term.op) {
+      case '>': return n > term.amount;
+      case '>=': return n >= term.amount;
+      case '<': return n < term.amount;
+      case '<=': return n <= term.amount;
+      default: return n === term.amount;
+    }
+  }
+  if (term.type === 'date') {
+    var d = toIsoDay(raw);
+    if (!d) return false;
+    switch (term.op) {
+      case '>': return d > term.to;
+      case '>=': return d >= term.from;
+      case '<': return d < term.from;
+      case '<=': return d <= term.to;
+      default: return d >= term.from && d <= term.to;
+    }
+  }
+  return String(raw).toLowerCase().indexOf(term.value) >= 0;
+}
+
+// Suggestions for the token under the caret: field names, then values of that field
+function getSearchSuggestions(text, caret, data, today) {
+  var token = null;
+  tokenizeSearchQuery(text).forEach(function(t) {
+    if (t.start <= caret && caret <= t.end) token = t;
+  });
+  if (!token) return { token: null, items: [] };
+
+  var raw = token.text;
+  var prefix = '';
+  if (raw.charAt(0) === '-') {
+    prefix = '-';
+    raw = raw.slice(1);
+  }
+  var items = [];
+  var m = raw.match(/^([A-Za-z_]+)(>=|<=|:|=|>|<)(.*)$/);
+
+  if (!m) {
+    var partial = raw.toLowerCase();
+    if (!partial || partial.charAt(0) === '"') return { token: token, items: [] };
+    Object.keys(SEARCH_FIELDS).forEach(function(name) {
+      if (name.indexOf(partial) !== 0) return;
+      var field = SEARCH_FIELDS[name];
+      var op = field.type === 'money' ? '>' : ':';
+      items.push({ label: name + op, insert: prefix + name + op, hint: field.hint });
+    });
+    return { token: token, items: items };
+  }
+
+  var name = m[1].toLowerCase();
+  if (SEARCH_FIELD_ALIASES[name]) name = SEARCH_FIELD_ALIASES[name];
+  var field = SEARCH_FIELDS[name];
+  if (!field) return { token: token, items: [] };
+  var typed = unquoteSearchValue(m[3]).toLowerCase();
+  var head = prefix + m[1] + m[2];
+
+  if (field.type === 'money') {
+    ['250K', '1M', '5M', '10M', '50M'].forEach(function(v) {
+      if (v.toLowerCase().indexOf(typed) === 0) items.push({ label: head + v, insert: head + v + ' ', hint: field.hint });
+    });
+  } else if (field.type === 'date') {
+    var now = today || new Date();
+    var fy = now.getFullYear() % 100 + (now.getMonth() >= 9 ? 1 : 0);
+    var quarter = Math.floor(((now.getMonth() + 3) % 12) / 3) + 1;
+    ['thisfy', 'nextfy', 'lastfy', 'today', 'FY' + fy, 'FY' + fy + 'Q' + quarter, 'FY' + (fy + 1), 'next90d', 'last30d'].forEach(function(v) {
+      if (v.toLowerCase().indexOf(typed) === 0) items.push({ label: head + v, insert: head + v + ' ', hint: field.hint });
+    });
+  } else {
+    // Most common values first
+    var counts = {};
+    (data || []).forEach(function(c) {
+      field.keys.forEach(function(key) {
+        var v = c[key];
+        if (v === '' || v === null || v === undefined) return;
+        v = String(v);
+        if (v.toLowerCase().indexOf(typed) >= 0) counts[v] = (counts[v] || 0) + 1;
+      });
+    });
+    Object.keys(counts)
+      .sort(function(a, b) { return counts[b] - counts[a] || a.localeCompare(b); })
+      .forEach(function(v) {
+        var quoted = /[\s"]/.test(v) ? '"' + v.replace(/"/g, '') + '"' : v;
+        items.push({ label: head + quoted, insert: head + quoted + ' ', hint: counts[v] + (counts[v] === 1 ? ' contract' : ' contracts') });
+      });
+  }
+  return { token: token, items: items.slice(0, 8) };
+}
+
+// --- Search index ---
+// Fields covered by the index, weighted by how telling a match in them is
+var SEARCH_INDEX_FIELDS = [
+  { keys: ['AWARD', 'PROJECT'], weight: 3 },
+  { keys: ['UEI', 'INCUMBENT'], weight: 2 },
+  { keys: ['AWARD_TITLE', 'PROJECT_TITLE'], weight: 2 },
+  { keys: ['Client_Bureau', 'client_organization'], weight: 1.5 },
+  { keys: ['PM', 'CO', 'CS'], weight: 1.5 },
+  { keys: ['SCOPE_TAGS'], weight: 1 }
+];
+
+function tokenizeSearchText(text) {
+  return String(text === null || text === undefined ? '' : text).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+// { data, postings: { token: { row: weight } }, tokens: sorted unique tokens }
+function buildSearchIndex(data) {
+  var postings = {};
+  for (var i = 0; i < data.length; i++) {
+    for (var f = 0; f < SEARCH_INDEX_FIELDS.length; f++) {
+      var field = SEARCH_INDEX_FIELDS[f];
+      for (var k = 0; k < field.keys.length; k++) {
+        var tokens = tokenizeSearchText(data[i][field.keys[k]]);
+        for (var t = 0; t < tokens.length; t++) {
+          var docs = postings[tokens[t]] || (postings[tokens[t]] = {});
+          if (!(docs[i] >= field.weight)) docs[i] = field.weight;
+        }
+      }
+    }
+  }
+  return { data: data, postings: postings, tokens: Object.keys(postings).sort() };
+}
+
+// Levenshtein distance, giving up once it must exceed max
+function boundedEditDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  var prev = [];
+  for (var j = 0; j <= b.length; j++) prev[j] = j;
+  for (var i = 1; i <= a.length; i++) {
+    var curr = [i];
+    var rowMin = i;
+    for (var k = 1; k <= b.length; k++) {
+      curr[k] = Math.min(prev[k] + 1, curr[k - 1] + 1, prev[k - 1] + (a.charAt(i - 1) === b.charAt(k - 1) ? 0 : 1));
+      if (curr[k] < rowMin) rowMin = curr[k];
+    }
+    if (rowMin > max) return max + 1;
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// Rows matching one word: exact tokens score 1, prefixes (2+ letters) 0.7 and
+// near misses 0.4 (one edit from 4 letters, two from 8), scaled by field weight
+// and how rare the token is. Returns { rows: { row: score }, tokens: [...] }
+function lookupSearchWord(index, word) {
+  var rows = {};
+  var matched = [];
+  var total = index.data.length;
+  function add(token, quality) {
+    var docs = index.postings[token];
+    var docIds = Object.keys(docs);
+    var idf = Math.log(1 + total / docIds.length);
+    for (var d = 0; d < docIds.length; d++) {
+      var score = quality * docs[docIds[d]] * idf;
+      if (!(rows[docIds[d]] >= score)) rows[docIds[d]] = score;
+    }
+    matched.push(token);
+  }
+
+  var tokens = index.tokens;
+  var lo = 0, hi = tokens.length;
+  while (lo < hi) {
+    var mid = (lo + hi) >> 1;
+    if (tokens[mid] < word) lo = mid + 1; else hi = mid;
+  }
+  var prefixEnd = lo;
+  if (word.length >= 2) {
+    while (prefixEnd < tokens.length && tokens[prefixEnd].indexOf(word) === 0) prefixEnd++;
+  } else if (tokens[lo] === word) {
+    prefixEnd = lo + 1;
+  }
+  for (var p = lo; p < prefixEnd; p++) add(tokens[p], tokens[p] === word ? 1 : 0.7);
+
+  var maxEdits = word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0;
+  if (maxEdits > 0) {
+    for (var t = 0; t < tokens.length; t++) {
+      if (t >= lo && t < prefixEnd) continue;
+      if (boundedEditDistance(word, tokens[t], maxEdits) <= maxEdits) add(tokens[t], 0.4);
+    }
+  }
+  return { rows: rows, tokens: matched };
+}
+
+// Give each plain-text term of a parsed query the index rows matching all of its
+// words (term.indexRows); returns the tokens to highlight
+function attachSearchIndexMatches(query, index) {
+  var highlights = [];
+  query.groups.forEach(function(group) {
+    group.forEach(function(term) {
+      if (term.field || term.type !== 'text') return;
+      var words = tokenizeSearchText(term.value);
+      if (words.length === 0) return;
+      var rows = null;
+      words.forEach(function(word) {
+        var hit = lookupSearchWord(index, word);
+        var next = {};
+        for (var row in hit.rows) {
+          if (rows === null || rows[row] !== undefined) next[row] = (rows ? rows[row] : 0) + hit.rows[row];
+        }
+        rows = next;
+        if (!term.negate) highlights = highlights.concat(word, hit.tokens);
+      });
+      term.indexRows = rows;
+    });
+  });
+  return highlights;
+}
+
+// Relevance of a row for the plain-text terms; substring-only matches score low
+function searchQueryScore(c, query, row) {
+  var score = 0;
+  query.groups.forEach(function(group) {
+    group.forEach(function(term) {
+      if (term.field || term.type !== 'text' || term.negate) return;
+      var indexed = term.indexRows && term.indexRows[row];
+      if (indexed) score += indexed;
+      else if (matchesSearchTerm(c, term)) score += 0.1;
+    });
+  });
+  return score;
+}
+
+// --- Facet counts ---
+// Dropdown filters counted as facets: the record keys behind each, its hidden
+// select, menu and toggle, and its tag and URL parameter. `split` breaks a cell
+// into several values, `labels` turn set flag columns into one label each and
+// `prefixes` name the column a value came from (kept in step with
+// FilterController.MULTI_SELECT_FIELDS). `more` facets sit in More Filters.
+var FACET_FILTERS = {
+  status: { keys: ['AWARD_STATUS'], selectId: 'statusFilter', menuId: 'statusMenu', toggleId: 'statusToggle', allLabel: 'All Statuses', tag: 'Status', param: 'status' },
+  organizations: { keys: ['Client_Bureau', 'client_organization'], selectId: 'organizationFilter', menuId: 'orgMenu', toggleId: 'orgToggle', allLabel: 'All Organizations', tag: 'Org', param: 'org' },
+  contractTypes: { keys: ['CONTRACT_TYPE'], selectId: 'contractTypeFilter', menuId: 'typeMenu', toggleId: 'typeToggle', allLabel: 'All Types', tag: 'Type', param: 'type' },
+  personnel: { keys: ['PM', 'CO', 'CS'], selectId: 'personnelFilter', menuId: 'personnelMenu', toggleId: 'personnelToggle', allLabel: 'All Personnel', tag: 'Person', param: 'person', more: true },
+  flags: { keys: ['FLAGS'], split: ',', selectId: 'flagFilter', menuId: 'flagsMenu', toggleId: 'flagsToggle', allLabel: 'All Flags', tag: 'Flag', param: 'flag', more: true },
+  competitionTypes: { keys: ['COMPETITION_TYPE'], selectId: 'competitionFilter', menuId: 'competitionMenu', toggleId: 'competitionToggle', allLabel: 'All Competition Types', tag: 'Competition', param: 'comp', more: true },
+  commerciality: { keys: ['Commerciality'], selectId: 'commercialityFilter', menuId: 'commercialityMenu', toggleId: 'commercialityToggle', allLabel: 'Any Commerciality', tag: 'Commerciality', param: 'commercial', more: true },
+  awardFiscalYears: { keys: ['FY_AWARD'], selectId: 'fiscalYearFilter', menuId: 'fyMenu', toggleId: 'fyToggle', allLabel: 'All Fiscal Years', tag: 'Award FY', param: 'fy', more: true },
+  programs: { keys: ['INTEL_FLAG', 'SBIR_FLAG'], labels: ['Intel', 'SBIR'], selectId: 'programFilter', menuId: 'programMenu', toggleId: 'programToggle', allLabel: 'All Programs', tag: 'Program', param: 'program', more: true },
+  vehiclePools: { keys: ['OASIS_POOL', 'OASIS_SB_POOL', 'ASTRO_POOL'], prefixes: ['OASIS: ', 'OASIS SB: ', 'ASTRO: '], selectId: 'poolFilter', menuId: 'poolMenu', toggleId: 'poolToggle', allLabel: 'All Pools', tag: 'Pool', param: 'pool', more: true }
+};
+
+// Values a contract holds for a facet, without duplicates
+function getFacetValues(c, facet) {
+  var values = [];
+  for (var i = 0; i < facet.keys.length; i++) {
+    var raw = c[facet.keys[i]];
+    if (raw === '' || raw === null || raw === undefined) continue;
+    var parts = facet.split ? String(raw).split(facet.split) : [String(raw)];
+    for (var j = 0; j < parts.length; j++) {
+      var value = facet.split ? parts[j].trim() : parts[j];
+      if (facet.labels) {
+        if (!isFlagSet(value)) continue;
+        value = facet.labels[i];
+      } else if (facet.prefixes) {
+        value = facet.prefixes[i] + value;
+      }
+      if (value !== '' && values.indexOf(value) < 0) values.push(value);
+    }
+  }
+  return values;
+}
+
+// Flag cells mark a contract unless blank, N, No, False, 0, N/A or None
+function isFlagSet(value) {
+  return ['', 'n', 'no', 'false', '0', 'n/a', 'none'].indexOf(String(value).trim().toLowerCase()) < 0;
+}
+
+function getFacetSelections() {
+  var selections = {};
+  for (var name in FACET_FILTERS) {
+    var sel = document.getElementById(FACET_FILTERS[name].selectId);
+    selections[name] = sel ? Array.from(sel.selectedOptions).map(function(o) { return o.value; }) : [];
+  }
+  return selections;
+}
+
+// Whether a contract holds any selected value for the facet (no selection matches all)
+function matchesFacet(c, facet, selected) {
+  if (!selected || selected.length === 0) return true;
+  return isAnySelected(getFacetValues(c, facet), selected);
+}
+
+function isAnySelected(values, selected) {
+  if (!selected || selected.length === 0) return true;
+  for (var i = 0; i < values.length; i++) {
+    if (selected.indexOf(values[i]) >= 0) return true;
+  }
+  return false;
+}
+
+// Per facet value, the contracts that would match if that value were the facet's only
+// selection. A row failing no facet counts in all of them, a row failing one counts only there.
+function computeFacetCounts(data, facets, selections) {
+  var names = Object.keys(facets);
+  var counts = {};
+  names.forEach(function(name) { counts[name] = {}; });
+
+  for (var i = 0; i < data.length; i++) {
+    var c = data[i];
+    var values = {};
+    var failed = null;
+    var failures = 0;
+    for (var j = 0; j < names.length && failures < 2; j++) {
+      values[names[j]] = getFacetValues(c, facets[names[j]]);
+      if (!isAnySelected(values[names[j]], selections[names[j]])) {
+        failures++;
+        failed = names[j];
+      }
+    }
+    if (failures > 1) continue;
+
+    for (var k = 0; k < names.length; k++) {
+      if (failures === 1 && names[k] !== failed) continue;
+      values[names[k]].forEach(function(value) {
+        counts[names[k]][value] = (counts[names[k]][value] || 0) + 1;
+      });
+    }
+  }
+  return counts;
+}
+
+// --- Delta refresh ---
+function buildContractKeys(data) {
+  var seen = {};
+  return data.map(function(c) {
+    var award = String(c.AWARD || '');
+    seen[award] = (seen[award] || 0) + 1;
+    return seen[award] > 1 ? award + '#' + seen[award] : award;
+  });
+}
+
+function mergeContractDelta(data, keys, delta) {
+  var position = {};
+  for (var i = 0; i < keys.length; i++) position[keys[i]] = i;
+
+  var merged = data.slice();
+  var added = (delta.added || []).slice();
+  (delta.changed || []).forEach(function(entry) {
+    if (position.hasOwnProperty(entry.key)) merged[position[entry.key]] = entry.record;
+    else added.push(entry);
+  });
+
+  var removed = {};
+  (delta.removed || []).forEach(function(key) { removed[key] = true; });
+
+  var result = { data: [], keys: [] };
+  for (var j = 0; j < merged.length; j++) {
+    if (removed[keys[j]]) continue;
+    result.data.push(merged[j]);
+    result.keys.push(keys[j]);
+  }
+  added.forEach(function(entry) {
+    result.data.push(entry.record);
+    result.keys.push(entry.key);
+  });
+  return result;
+}
+
+// --- URL state ---
+// Filter, sort and page state as URL parameters; defaults are left out to keep links short
+function encodeUrlState(state) {
+  var params = {};
+  function list(key, values) {
+    if (values && values.length > 0) params[key] = values.slice();
+  }
+  if (state.searchText) params.q = state.searchText;
+  for (var name in FACET_FILTERS) list(FACET_FILTERS[name].param, state[name]);
+  if (state.myRole) params.role = state.myRole;
+  list('award', state.awards);
+  if (state.dateStart || state.dateEnd) {
+    params.df = state.dateField || 'projectStart';
+    if (state.dateStart) params.from = state.dateStart;
+    if (state.dateEnd) params.to = state.dateEnd;
+    if (state.datePreset) params.dp = state.datePreset;
+  }
+  if (state.financialMin !== '' && state.financialMin !== undefined || state.financialMax !== '' && state.financialMax !== undefined) {
+    params.ff = state.financialField || 'ceiling';
+    if (state.financialMin !== '' && state.financialMin !== undefined) params.min = String(state.financialMin);
+    if (state.financialMax !== '' && state.financialMax !== undefined) params.max = String(state.financialMax);
+  }
+  if (state.sortColumn) params.sort = state.sortColumn + (state.sortDirection === 'desc' ? ':desc' : '');
+  if (state.pageSize && Number(state.pageSize) !== 50) params.size = String(state.pageSize);
+  if (state.page && Number(state.page) > 1) params.page = String(state.page);
+  if (state.detail) params.detail = state.detail;
+  if (state.view && state.view !== 'overview') params.view = state.view;
+  return params;
+}
+
+// Inverse of encodeUrlState; accepts single values or arrays (e.parameters), null when empty
+function decodeUrlState(params) {
+  var known = ['q', 'role', 'award', 'df', 'from', 'to', 'dp', 'ff', 'min', 'max', 'sort', 'size', 'page', 'detail', 'view'];
+  for (var name in FACET_FILTERS) known.push(FACET_FILTERS[name].param);
+  if (!params || !known.some(function(key) { return params.hasOwnProperty(key); })) return null;
+  function first(key) {
+    var v = params[key];
+    if (Array.isArray(v)) v = v[0];
+    return v === undefined || v === null ? '' : String(v);
+  }
+  function all(key) {
+    var v = params[key];
+    if (v === undefined || v === null) return [];
+    return (Array.isArray(v) ? v : [v]).map(String);
+  }
+  var sort = first('sort').split(':');
+  var state = { searchText: first('q') };
+  for (var facet in FACET_FILTERS) state[facet] = all(FACET_FILTERS[facet].param);
+  state.myRole = first('role');
+  state.awards = all('award');
+  state.dateField = first('df') || 'projectStart';
+  state.dateStart = first('from');
+  state.dateEnd = first('to');
+  state.datePreset = first('dp');
+  state.financialField = first('ff') || 'ceiling';
+  state.financialMin = first('min');
+  state.financialMax = first('max');
+  state.sortColumn = sort[0] || null;
+  state.sortDirection = sort[1] === 'desc' ? 'desc' : 'asc';
+  state.pageSize = parseInt(first('size'), 10) || 50;
+  state.page = parseInt(first('page'), 10) || 1;
+  state.detail = first('detail') || null;
+  state.view = first('view') || 'overview';
+  return state;
+}
+
+// --- Contract detail ---
+// Place milestones on a 0-100 scale from the earliest to the latest date;
+// today is clamped to the ends when it falls outside them
+function buildTimelineLayout(milestones, today) {
+  function dayTime(day) {
+    return Date.UTC(Number(day.slice(0, 4)), Number(day.slice(5, 7)) - 1, Number(day.slice(8, 10)));
+  }
+  var points = [];
+  (milestones || []).forEach(function(m) {
+    var day = m && m.date ? toIsoDay(m.date) : null;
+    if (!day) return;
+    points.push({ name: m.name, date: day, type: m.type, status: m.status, time: dayTime(day) });
+  });
+  points.sort(function(a, b) { return a.time - b.time; });
+  if (points.length === 0) return { start: null, end: null, points: [], today: null, todayInRange: false };
+
+  var first = points[0].time;
+  var last = points[points.length - 1].time;
+  function position(time) {
+    if (last === first) return 50;
+    return Math.min(100, Math.max(0, (time - first) / (last - first) * 100));
+  }
+  var todayTime = dayTime(toIsoDay(today));
+  return {
+    start: points[0].date,
+    end: points[points.length - 1].date,
+    points: points.map(function(p) {
+      return { name: p.name, date: p.date, type: p.type, status: p.status, position: position(p.time) };
+    }),
+    today: position(todayTime),
+    todayInRange: todayTime >= first && todayTime <= last
+  };
+}
+
+// --- IDV hierarchy ---
+// Group task and delivery orders under their referenced IDV, and IDVs under
+// their family, rolling up ceiling and IGE. Parents and families come from
+// allData so filtering cannot hide a vehicle's capacity: an IDV whose own row
+// is in the extract has its CEILING as capacity, and percentUsed compares the
+// orders' ceilings with it. Rows that neither reference nor are an IDV go to
+// standalone.
+function buildIdvHierarchy(data, allData) {
+  function text(value) { return String(value === null || value === undefined ? '' : value).trim(); }
+  function percent(used, capacity) { return capacity > 0 ? used / capacity * 100 : null; }
+  function byCeiling(a, b) { return b.ceiling - a.ceiling; }
+
+  var referenced = {}; // IDV number -> { family }
+  (allData || data).forEach(function(c) {
+    var idv = text(c.REFERENCED_IDV_NUMBER);
+    if (!idv) return;
+    if (!referenced[idv]) referenced[idv] = { family: '' };
+    if (!referenced[idv].family) referenced[idv].family = text(c.REFERENCED_IDV_FAMILY);
+  });
+  var parents = {};
+  (allData || data).forEach(function(c) {
+    var award = text(c.AWARD);
+    if (referenced[award] && !parents[award]) parents[award] = c;
+  });
+
+  var vehicles = {};
+  var vehicleList = [];
+  function vehicle(idv) {
+    if (!vehicles[idv]) {
+      var parent = parents[idv] || null;
+      vehicles[idv] = {
+        idv: idv,
+        family: referenced[idv].family,
+        parent: parent,
+        title: parent ? text(parent.AWARD_TITLE) : '',
+        capacity: parent ? parseCurrency(parent.CEILING) : null,
+        ceiling: 0,
+        ige: 0,
+        percentUsed: null,
+        orders: []
+      };
+      vehicleList.push(vehicles[idv]);
+    }
+    return vehicles[idv];
+  }
+
+  var standalone = { orders: [], ceiling: 0, ige: 0 };
+  data.forEach(function(c) {
+    var idv = text(c.REFERENCED_IDV_NUMBER);
+    var award = text(c.AWARD);
+    if (referenced[award]) vehicle(award);
+    if (idv && idv !== award) {
+      var v = vehicle(idv);
+      v.orders.push(c);
+      v.ceiling += parseCurrency(c.CEILING);
+      v.ige += parseCurrency(c.IGE);
+    } else if (!referenced[award]) {
+      standalone.orders.push(c);
+      standalone.ceiling += parseCurrency(c.CEILING);
+      standalone.ige += parseCurrency(c.IGE);
+    }
+  });
+
+  var families = {};
+  var familyList = [];
+  vehicleList.forEach(function(v) {
+    v.percentUsed = percent(v.ceiling, v.capacity);
+    v.orders.sort(function(a, b) { return parseCurrency(b.CEILING) - parseCurrency(a.CEILING); });
+    var f = families[v.family];
+    if (!f) {
+      f = families[v.family] = { name: v.family, ceiling: 0, ige: 0, orderCount: 0, capacity: null, used: 0, percentUsed: null, vehicles: [] };
+      familyList.push(f);
+    }
+    f.vehicles.push(v);
+    f.ceiling += v.ceiling;
+    f.ige += v.ige;
+    f.orderCount += v.orders.length;
+    // Capacity counts only IDVs whose own row gives it
+    if (v.capacity !== null) {
+      f.capacity = (f.capacity || 0) + v.capacity;
+      f.used += v.ceiling;
+    }
+  });
+  familyList.forEach(function(f) {
+    f.percentUsed = f.capacity === null ? null : percent(f.used, f.capacity);
+    f.vehicles.sort(byCeiling);
+  });
+  familyList.sort(byCeiling);
+  standalone.orders.sort(function(a, b) { return parseCurrency(b.CEILING) - parseCurrency(a.CEILING); });
+  return { families: familyList, vehicleCount: vehicleList.length, standalone: standalone };
+}
+
+// --- Spending explorer ---
+var SPENDING_UNDATED_PERIOD = 'Undated'; // FinancialAnalyzer.UNDATED_PERIOD
+
+// '2024-03' -> 'Mar 2024', '2024-Q1' -> 'Q1 2024'; years and Undated as they are
+function formatSpendingPeriod(period) {
+  var months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  var month = String(period).match(/^(\d{4})-(\d{2})$/);
+  if (month) return months[parseInt(month[2], 10) - 1] + ' ' + month[1];
+  var quarter = String(period).match(/^(\d{4})-(Q\d)$/);
+  if (quarter) return quarter[2] + ' ' + quarter[1];
+  return String(period);
+}
+
+// Group-by-period grid with row and column totals, plus stacked chart series
+// for the dated periods: the largest groups, then the rest as Other
+function buildSpendingPivot(analysis, maxSeries) {
+  var periods = analysis.periods || [];
+  var columnTotals = periods.map(function() { return { value: 0, count: 0 }; });
+  var total = { value: 0, count: 0 };
+  var rows = (analysis.groupedData || []).map(function(group) {
+    var cells = periods.map(function(period, i) {
+      var cell = group.cells[period];
+      if (!cell) return null;
+      columnTotals[i].value += cell.totalSpending;
+      columnTotals[i].count += cell.contractCount;
+      return { value: cell.totalSpending, count: cell.contractCount };
+    });
+    total.value += group.totalSpending;
+    total.count += group.contractCount;
+    return { name: group.name, value: group.totalSpending, count: group.contractCount, cells: cells };
+  });
+
+  var dated = [];
+  periods.forEach(function(period, i) { if (period !== SPENDING_UNDATED_PERIOD) dated.push(i); });
+  var valuesOf = function(list) {
+    return dated.map(function(i) {
+      return list.reduce(function(sum, row) { return sum + (row.cells[i] ? row.cells[i].value : 0); }, 0);
+    });
+  };
+  var series = rows.slice(0, maxSeries).map(function(row) { return { name: row.name, values: valuesOf([row]) }; });
+  if (rows.length > maxSeries) series.push({ name: 'Other', values: valuesOf(rows.slice(maxSeries)) });
+
+  return {
+    periods: periods,
+    rows: rows,
+    columnTotals: columnTotals,
+    total: total,
+    chart: { labels: dated.map(function(i) { return periods[i]; }), series: series }
+  };
+}
+
+// --- Ceiling runway ---
+// Sort forecasts by one field; blanks sort last either way and ties keep their order
+function sortRunway(forecasts, key, direction) {
+  var dir = direction === 'desc' ? -1 : 1;
+  return forecasts
+    .map(function(forecast, index) { return { forecast: forecast, index: index }; })
+    .sort(function(a, b) {
+      var av = a.forecast[key], bv = b.forecast[key];
+      var aBlank = av === null || av === undefined || av === '';
+      var bBlank = bv === null || bv === undefined || bv === '';
+      if (aBlank || bBlank) return aBlank === bBlank ? a.index - b.index : (aBlank ? 1 : -1);
+      var cmp = typeof av === 'number' && typeof bv === 'number'
+        ? av - bv
+        : String(av).localeCompare(String(bv), undefined, { numeric: true });
+      return cmp !== 0 ? cmp * dir : a.index - b.index;
+    })
+    .map(function(entry) { return entry.forecast; });
+}
+
+// --- Pivot builder ---
+var PIVOT_BLANK = '(blank)';
+
+// Aggregate one cell's stats; null for an empty cell
+function pivotValue(stats, aggregate) {
+  if (!stats || stats.count === 0) return null;
+  if (aggregate === 'count') return stats.count;
+  if (aggregate === 'avg') return stats.sum / stats.count;
+  if (aggregate === 'min') return stats.min;
+  if (aggregate === 'max') return stats.max;
+  return stats.sum;
+}
+
+// Cross-tab of records by the row and column fields. Row and column keys are
+// the fields' values, sorted; totals aggregate the records themselves so that
+// averages, minimums and maximums stay exact
+function buildPivot(records, rowFields, columnFields, aggregate, measure) {
+  var SEP = '\u0001';
+  var newStats = function() { return { count: 0, sum: 0, min: null, max: null }; };
+  var add = function(stats, value) {
+    stats.count++;
+    stats.sum += value;
+    stats.min = stats.min === null ? value : Math.min(stats.min, value);
+    stats.max = stats.max === null ? value : Math.max(stats.max, value);
+  };
+  var keyOf = function(record, fields) {
+    return fields.map(function(field) {
+      var value = String(record[field] === null || record[field] === undefined ? '' : record[field]).trim();
+      return value || PIVOT_BLANK;
+    });
+  };
+
+  var rows = {}, columns = {}, cells = {};
+  var total = newStats();
+  records.forEach(function(record) {
+    var value = aggregate === 'count' ? 0 : parseCurrency(record[measure]);
+    var rowKey = keyOf(record, rowFields);
+    var columnKey = keyOf(record, columnFields);
+    var r = rowKey.join(SEP), c = columnKey.join(SEP);
+    if (!rows[r]) rows[r] = { key: rowKey, stats: newStats() };
+    if (!columns[c]) columns[c] = { key: columnKey, stats: newStats() };
+    if (!cells[r + SEP + SEP + c]) cells[r + SEP + SEP + c] = newStats();
+    add(rows[r].stats, value);
+    add(columns[c].stats, value);
+    add(cells[r + SEP + SEP + c], value);
+    add(total, value);
+  });
+
+  var byKey = function(a, b) {
+    for (var i = 0; i < a.key.length; i++) {
+      var cmp = String(a.key[i]).localeCompare(String(b.key[i]), undefined, { numeric: true });
+      if (cmp !== 0) return cmp;
+    }
+    return 0;
+  };
+  var rowList = Object.keys(rows).map(function(k) { return rows[k]; }).sort(byKey);
+  var columnList = Object.keys(columns).map(function(k) { return columns[k]; }).sort(byKey);
+
+  return {
+    rowHeaders: rowList.map(function(row) { return row.key; }),
+    columnHeaders: columnList.map(function(column) { return column.key; }),
+    values: rowList.map(function(row) {
+      return columnList.map(function(column) {
+        return pivotValue(cells[row.key.join(SEP) + SEP + SEP + column.key.join(SEP)], aggregate);
+      });
+    }),
+    rowTotals: rowList.map(function(row) { return pivotValue(row.stats, aggregate); }),
+    columnTotals: columnList.map(function(column) { return pivotValue(column.stats, aggregate); }),
+    total: pivotValue(total, aggregate),
+    recordCount: total.count
+  };
+}
+
+// Pivot as an ExportService table: row fields, one column per column key, Total
+function pivotToExportTable(pivot, rowLabels, columnLabel, format, name) {
+  var rowFieldLabels = rowLabels.length > 0 ? rowLabels : [''];
+  var columns = rowFieldLabels.map(function(label) { return { label: label }; })
+    .concat(pivot.columnHeaders.map(function(key) { return { label: key.join(' / ') || columnLabel, format: format }; }))
+    .concat([{ label: 'Total', format: format }]);
+  var rows = pivot.rowHeaders.map(function(key, i) {
+    return (key.length > 0 ? key : ['All']).concat(pivot.values[i], [pivot.rowTotals[i]]);
+  });
+  var totalRow = rowFieldLabels.map(function(label, i) { return i === 0 ? 'Total' : ''; })
+    .concat(pivot.columnTotals, [pivot.total]);
+  return {
+    name: name,
+    columns: columns,
+    rows: rows.concat([totalRow]),
+    rowKinds: rows.map(function() { return 'data'; }).concat(['total']),
+    recordCount: pivot.recordCount
+  };
+}
+
 // --- Summary card computation ---
 function computeSummaryTotals(filteredData) {
   var active = 0, completed = 0, totalCeiling = 0;
@@ -192,6 +1230,93 @@ function compareValues(a, b, column) {
   return String(a).localeCompare(String(b));
 }
 
+// --- Server classes ---
+// Evaluate an Apps Script file (or a list of files sharing one global scope, as
+// they do in Apps Script) in its own context and return one of its classes or
+// functions (name may be an expression over its globals); globals stands in
+// for the Apps Script services it touches
+function loadServerClass(file, name, globals) {
+  const files = [].concat(file);
+  const source = files.map(f => fs.readFileSync(path.join(__dirname, '..', 'src', f), 'utf8')).join('\n;');
+  return vm.runInNewContext(source + '\n;' + name, Object.assign({}, globals || {}), { filename: files[files.length - 1] });
+}
+
+// In-memory stand-ins for the Apps Script services the server classes use.
+// userProperties, scriptProperties, cacheEntries, cacheCalls and locks are
+// exposed so tests can inspect what was written.
+function fakeAppsScript(options) {
+  const opts = options || {};
+  const userProperties = Object.assign({}, opts.userProperties || {});
+  const scriptProperties = Object.assign({}, opts.scriptProperties || {});
+  const cacheEntries = {};
+  const cacheCalls = { reads: 0, writes: 0 };
+  const locks = { held: 0, acquired: 0 };
+  let uuid = 0;
+  const blob = bytes => ({
+    getBytes: () => bytes,
+    getDataAsString: () => Buffer.from(bytes).toString('utf8')
+  });
+  const bytesOf = data => (data && data.getBytes ? data.getBytes() : Buffer.from(data));
+  const propertyStore = values => ({
+    getProperty: key => (key in values ? values[key] : null),
+    getProperties: () => Object.assign({}, values),
+    setProperty(key, value) { values[key] = String(value); },
+    deleteProperty(key) { delete values[key]; }
+  });
+  return {
+    userProperties: userProperties,
+    scriptProperties: scriptProperties,
+    cacheEntries: cacheEntries,
+    cacheCalls: cacheCalls,
+    locks: locks,
+    console: { log() {}, warn() {}, error() {} },
+    Session: {
+      getActiveUser: () => ({ getEmail: () => opts.email || 'analyst@example.gov' }),
+      getTemporaryActiveUserKey: () => 'temporary-key'
+    },
+    Utilities: {
+      getUuid: () => 'view-' + (++uuid),
+      newBlob: data => blob(bytesOf(data)),
+      gzip: data => blob(zlib.gzipSync(bytesOf(data))),
+      ungzip: data => blob(zlib.gunzipSync(bytesOf(data))),
+      base64Encode: data => Buffer.from(bytesOf(data)).toString('base64'),
+      base64Decode: text => Buffer.from(text, 'base64'),
+      base64EncodeWebSafe: data => Buffer.from(bytesOf(data)).toString('base64').replace(/\+/g, '-').replace(/\//g, '_'),
+      computeDigest: (algorithm, text) => crypto.createHash('md5').update(text).digest(),
+      DigestAlgorithm: { MD5: 'MD5' }
+    },
+    CacheService: {
+      getScriptCache: () => ({
+        get(key) { cacheCalls.reads++; return key in cacheEntries ? cacheEntries[key] : null; },
+        getAll(keys) {
+          cacheCalls.reads++;
+          return keys.reduce((found, key) => { if (key in cacheEntries) found[key] = cacheEntries[key]; return found; }, {});
+        },
+        put(key, value) { cacheCalls.writes++; cacheEntries[key] = String(value); },
+        putAll(values) { cacheCalls.writes++; Object.keys(values).forEach(key => { cacheEntries[key] = String(values[key]); }); },
+        remove(key) { cacheCalls.writes++; delete cacheEntries[key]; },
+        removeAll(keys) { cacheCalls.writes++; keys.forEach(key => { delete cacheEntries[key]; }); }
+      })
+    },
+    LockService: {
+      getScriptLock: () => ({
+        waitLock() { locks.held++; locks.acquired++; },
+        releaseLock() { locks.held--; }
+      })
+    },
+    PropertiesService: {
+      getUserProperties: () => propertyStore(userProperties),
+      getScriptProperties: () => propertyStore(scriptProperties)
+    }
+  };
+}
+
+const BurnRateForecaster = loadServerClass('services/BurnRateForecaster.js', 'BurnRateForecaster');
+const FinancialAnalyzer = loadServerClass(['utils/DateUtils.js', 'services/FinancialAnalyzer.js'], 'FinancialAnalyzer');
+const findChangedChunks = loadServerClass('Code.js', 'findChangedChunks');
+const { ColumnMappingService, DEFAULT_COLUMN_MAPPING } =
+  loadServerClass('services/ColumnMappingService.js', '({ ColumnMappingService, DEFAULT_COLUMN_MAPPING })');
+
 module.exports = {
   parseCurrency,
   renderAwardValueCell,
@@ -204,10 +1329,52 @@ module.exports = {
   filterByStatuses,
   filterByOrganizations,
   filterByDateRange,
+  describeDatePreset,
+  buildFiscalPeriodOptions,
   filterByFinancialRange,
+  filterByAwards,
+  filterByMyRole,
+  tokenizeSearchQuery,
+  parseSearchQuery,
+  parseMoneyValue,
+  parseDateBounds,
+  matchesSearchQuery,
+  getSearchSuggestions,
+  tokenizeSearchText,
+  buildSearchIndex,
+  boundedEditDistance,
+  lookupSearchWord,
+  attachSearchIndexMatches,
+  searchQueryScore,
+  FACET_FILTERS,
+  getFacetValues,
+  isFlagSet,
+  matchesFacet,
+  computeFacetCounts,
   clearAllFilters,
+  groupQualityIssues,
+  groupRisksBySeverity,
+  buildContractKeys,
+  mergeContractDelta,
+  encodeUrlState,
+  decodeUrlState,
+  buildTimelineLayout,
+  buildIdvHierarchy,
+  formatSpendingPeriod,
+  buildSpendingPivot,
+  sortRunway,
+  pivotValue,
+  buildPivot,
+  pivotToExportTable,
   computeSummaryTotals,
   sortData,
   getColumnValue,
-  compareValues
+  compareValues,
+  loadServerClass,
+  fakeAppsScript,
+  BurnRateForecaster,
+  FinancialAnalyzer,
+  findChangedChunks,
+  ColumnMappingService,
+  DEFAULT_COLUMN_MAPPING
 };
@@ -2,6 +2,7 @@
  * Property-Based Test Runner for Contract Management Dashboard
  * Uses fast-check to validate correctness properties.
  */
+const crypto = require('crypto');
 const fc = require('fast-check');
 const h = require('./helpers');
 
@@ -278,6 +279,797 @@ runProperty('Property 11: Table sorting correctness', [
   }
 ]);
 
+// Feature: contract-management-dashboard, Property 12: Data quality drill-down
+// **Validates: Requirements 11.3, 11.4**
+runProperty('Property 12: Data quality drill-down', [
+  contractsArb,
+  fc.array(fc.record({
+    row: fc.integer({ min: 3, max: 500 }),
+    category: fc.oneof(fc.constant('missing_email'), fc.constant('date_order'), fc.constant('outlier'), fc.constant('parse'), fc.constant('custom'))
+  }), { maxLength: 40 }),
+  (contracts, issues) => {
+    // Filtering to an issue's award keeps exactly the contracts with that award
+    if (contracts.length > 0) {
+      const award = String(contracts[0].AWARD);
+      const filtered = h.filterByAwards(contracts, [award]);
+      if (filtered.length !== contracts.filter(c => String(c.AWARD) === award).length) return false;
+      if (filtered.some(c => String(c.AWARD) !== award)) return false;
+    }
+    if (h.filterByAwards(contracts, []) !== contracts) return false;
+    // Every issue lands in exactly one group, known groups keep their order
+    const groupDefs = [{ key: 'missing_email', title: 'Emails' }, { key: 'date_order', title: 'Dates' }, { key: 'outlier', title: 'Outliers' }];
+    const groups = h.groupQualityIssues(issues, groupDefs);
+    if (groups.reduce((n, g) => n + g.issues.length, 0) !== issues.length) return false;
+    if (groups.some(g => g.issues.length === 0 || g.issues.some(i => i.category !== g.key))) return false;
+    const known = groups.filter(g => groupDefs.some(d => d.key === g.key)).map(g => groupDefs.findIndex(d => d.key === g.key));
+    for (let i = 1; i < known.length; i++) {
+      if (known[i] < known[i - 1]) return false;
+    }
+    return true;
+  }
+]);
+
+// Feature: contract-management-dashboard, Property 13: Delta merge reproduces the new dataset
+// **Validates: Requirements 12.2**
+runProperty('Property 13: Delta merge reproduces the new dataset', [
+  fc.array(contractArb.map(c => Object.assign({}, c, { AWARD: c.AWARD.slice(0, 1) })), { maxLength: 40 }),
+  fc.array(contractArb.map(c => Object.assign({}, c, { AWARD: c.AWARD.slice(0, 1) })), { maxLength: 40 }),
+  (before, after) => {
+    // Server-side diff: same keying, compare records by content
+    const oldKeys = h.buildContractKeys(before);
+    const newKeys = h.buildContractKeys(after);
+    if (new Set(newKeys).size !== newKeys.length) return false;
+    const oldByKey = {};
+    oldKeys.forEach((k, i) => { oldByKey[k] = JSON.stringify(before[i]); });
+    const delta = { added: [], changed: [], removed: oldKeys.filter(k => newKeys.indexOf(k) === -1) };
+    newKeys.forEach((k, i) => {
+      if (!(k in oldByKey)) delta.added.push({ key: k, record: after[i] });
+      else if (oldByKey[k] !== JSON.stringify(after[i])) delta.changed.push({ key: k, record: after[i] });
+    });
+    // Merged rows match the new dataset key for key
+    const merged = h.mergeContractDelta(before, oldKeys, delta);
+    if (merged.data.length !== after.length || merged.keys.length !== after.length) return false;
+    const newByKey = {};
+    newKeys.forEach((k, i) => { newByKey[k] = JSON.stringify(after[i]); });
+    return merged.keys.every((k, i) => newByKey[k] === JSON.stringify(merged.data[i]));
+  }
+]);
+
+// Feature: contract-management-dashboard, Property 14: URL state round-trip
+// **Validates: Requirements 13.1, 13.2**
+const optionalText = fc.oneof(fc.constant(''), fc.string({ minLength: 1, maxLength: 12 }));
+runProperty('Property 14: URL state round-trip', [
+  fc.record({
+    searchText: optionalText,
+    status: fc.array(fc.constantFrom('Active', 'Completed', 'Closed', 'Pending'), { maxLength: 3 }),
+    organizations: fc.array(fc.string({ minLength: 1, maxLength: 10 }), { maxLength: 3 }),
+    contractTypes: fc.array(fc.string({ minLength: 1, maxLength: 10 }), { maxLength: 3 }),
+    personnel: fc.array(fc.string({ minLength: 1, maxLength: 10 }), { maxLength: 2 }),
+    flags: fc.subarray(['NO_COR', 'Security Classification Level 1']),
+    competitionTypes: fc.subarray(['L3_COMPETITIVE_SM_BIZ', 'SOLE_SOURCE']),
+    commerciality: fc.subarray(['Commercial', 'Non-Commercial']),
+    awardFiscalYears: fc.subarray(['FY24', 'FY25', 'FY26']),
+    programs: fc.subarray(['Intel', 'SBIR']),
+    vehiclePools: fc.subarray(['OASIS: 1', 'ASTRO: 2']),
+    myRole: fc.constantFrom('', 'any', 'PM', 'CO', 'CS'),
+    awards: fc.array(fc.string({ minLength: 1, maxLength: 10 }), { maxLength: 2 }),
+    dateField: fc.constantFrom('projectStart', 'projectEnd', 'awardDate', 'completion'),
+    dateStart: fc.constantFrom('', '2024-01-01', '2025-06-30'),
+    dateEnd: fc.constantFrom('', '2026-12-31'),
+    datePreset: fc.constantFrom('', 'thisfy', 'FY26Q2', 'next120d'),
+    financialField: fc.constantFrom('ceiling', 'awardValue'),
+    financialMin: fc.oneof(fc.constant(''), fc.nat(1e7).map(String)),
+    financialMax: fc.oneof(fc.constant(''), fc.nat(1e7).map(String)),
+    sortColumn: fc.constantFrom(null, 'award', 'ceiling', 'projectEnd'),
+    sortDirection: fc.constantFrom('asc', 'desc'),
+    pageSize: fc.constantFrom(25, 50, 100),
+    page: fc.integer({ min: 1, max: 40 }),
+    detail: fc.oneof(fc.constant(null), fc.string({ minLength: 1, maxLength: 10 })),
+    view: fc.constantFrom('overview', 'quality')
+  }),
+  fc.boolean(),
+  (state, asArrays) => {
+    const params = h.encodeUrlState(state);
+    // e.parameters delivers every value as an array
+    const incoming = {};
+    Object.keys(params).forEach(k => { incoming[k] = asArrays && !Array.isArray(params[k]) ? [params[k]] : params[k]; });
+    const decoded = h.decodeUrlState(incoming);
+    // The default state encodes to no parameters at all
+    if (Object.keys(params).length === 0) return decoded === null;
+    const hasDates = state.dateStart !== '' || state.dateEnd !== '';
+    const hasRange = state.financialMin !== '' || state.financialMax !== '';
+    const expected = Object.assign({}, state, {
+      dateField: hasDates ? state.dateField : 'projectStart',
+      datePreset: hasDates ? state.datePreset : '',
+      financialField: hasRange ? state.financialField : 'ceiling',
+      sortDirection: state.sortColumn ? state.sortDirection : 'asc'
+    });
+    return JSON.stringify(decoded) === JSON.stringify(expected);
+  }
+]);
+
+// Feature: contract-management-dashboard, Property 15: Facet counts match single-value selections
+// **Validates: Requirements 14.1, 14.2**
+runProperty('Property 15: Facet counts match single-value selections', [
+  fc.array(fc.tuple(contractArb, fc.constantFrom('', 'DOD', 'GSA')).map(([c, org]) => Object.assign({}, c, { client_organization: org })), { maxLength: 40 }),
+  fc.subarray(['Active', 'Completed', 'Pending', 'Cancelled', 'Closed']),
+  fc.subarray(['DOD', 'DHS', 'DOE', 'NASA', 'VA', 'HHS', 'GSA']),
+  fc.subarray(['FFP', 'T&M', 'CPFF', 'IDIQ']),
+  (contracts, status, organizations, contractTypes) => {
+    const facets = { status: h.FACET_FILTERS.status, organizations: h.FACET_FILTERS.organizations, contractTypes: h.FACET_FILTERS.contractTypes };
+    const selections = { status, organizations, contractTypes };
+    const counts = h.computeFacetCounts(contracts, facets, selections);
+    const matchCount = sel => contracts.filter(c => Object.keys(facets).every(f => h.matchesFacet(c, facets[f], sel[f]))).length;
+    const pools = { status: ['Active', 'Completed', 'Pending', 'Cancelled', 'Closed'], organizations: ['DOD', 'DHS', 'DOE', 'NASA', 'VA', 'HHS', 'GSA'], contractTypes: ['FFP', 'T&M', 'CPFF', 'IDIQ'] };
+    // Each count equals the rows matched by picking only that value, other facets unchanged
+    return Object.keys(pools).every(facet => pools[facet].every(value => {
+      const expected = matchCount(Object.assign({}, selections, { [facet]: [value] }));
+      return (counts[facet][value] || 0) === expected;
+    }));
+  }
+]);
+
+// Feature: contract-management-dashboard, Property 16: Search queries match their terms
+// **Validates: Requirements 15.1, 15.2, 15.3**
+const statusTermArb = fc.tuple(fc.constantFrom('Active', 'Completed', 'Pending', 'Closed'), fc.boolean()).map(([s, upper]) => ({
+  text: 'status:' + (upper ? s.toUpperCase() : s.toLowerCase()),
+  pred: c => String(c.AWARD_STATUS).toLowerCase() === s.toLowerCase()
+}));
+const typeTermArb = fc.constantFrom('FFP', 'T&M', 'CPFF').map(t => ({ text: 'type:' + t, pred: c => c.CONTRACT_TYPE === t }));
+const ceilingTermArb = fc.tuple(fc.constantFrom('>', '>=', '<', '<='), fc.integer({ min: 0, max: 10000 })).map(([op, k]) => ({
+  text: 'ceiling' + op + k + 'K',
+  pred: c => ({ '>': a => a > k * 1000, '>=': a => a >= k * 1000, '<': a => a < k * 1000, '<=': a => a <= k * 1000 })[op](h.parseCurrency(c.CEILING))
+}));
+const endTermArb = fc.oneof(
+  fc.tuple(fc.constantFrom('>', '<', ':'), fc.date({ min: new Date('2016-01-01'), max: new Date('2028-12-31') }).map(d => d.toISOString().slice(0, 10)))
+    .map(([op, day]) => ({
+      text: 'end' + op + day,
+      pred: c => op === '>' ? c.PROJECT_END > day : op === '<' ? c.PROJECT_END < day : c.PROJECT_END === day
+    })),
+  fc.integer({ min: 16, max: 29 }).map(fy => ({
+    text: 'end:FY' + fy,
+    pred: c => c.PROJECT_END >= (2000 + fy - 1) + '-10-01' && c.PROJECT_END <= (2000 + fy) + '-09-30'
+  }))
+);
+const wordTermArb = fc.constantFrom('a', 'dod', 'x1', 'Active').map(w => ({
+  text: w,
+  pred: c => ['AWARD', 'PROJECT', 'PROJECT_TITLE', 'Client_Bureau', 'client_organization', 'AWARD_STATUS', 'AWARD_TITLE']
+    .some(k => String(c[k] || '').toLowerCase().indexOf(w.toLowerCase()) >= 0)
+}));
+const searchTermArb = fc.tuple(fc.oneof(statusTermArb, typeTermArb, ceilingTermArb, endTermArb, wordTermArb), fc.boolean())
+  .map(([term, negate]) => negate ? { text: '-' + term.text, pred: c => !term.pred(c) } : term);
+runProperty('Property 16: Search queries match their terms', [
+  contractsArb,
+  fc.array(fc.array(searchTermArb, { minLength: 1, maxLength: 3 }), { minLength: 1, maxLength: 3 }),
+  (contracts, groups) => {
+    // Groups are ANDed, terms within a group joined with OR
+    const text = groups.map(g => g.map(term => term.text).join(' OR ')).join(' ');
+    const query = h.parseSearchQuery(text);
+    if (query.errors.length > 0 || query.groups.length !== groups.length) return false;
+    return contracts.every(c => h.matchesSearchQuery(c, query) === groups.every(g => g.some(term => term.pred(c))));
+  }
+]);
+
+// Feature: contract-management-dashboard, Property 17: Fuzzy search finds typos and prefixes
+// **Validates: Requirements 16.1, 16.2**
+const titleWords = ['cloud', 'migration', 'cybersecurity', 'logistics', 'analytics', 'training', 'helpdesk', 'modernization'];
+runProperty('Property 17: Fuzzy search finds typos and prefixes', [
+  fc.array(fc.array(fc.constantFrom(...titleWords), { minLength: 1, maxLength: 4 }), { minLength: 1, maxLength: 30 }),
+  fc.nat(),
+  fc.nat(),
+  fc.nat(),
+  (titles, pickRow, pickWord, pickChar) => {
+    const contracts = titles.map((words, i) => ({ AWARD: 'A' + i, AWARD_TITLE: words.join(' ') }));
+    const index = h.buildSearchIndex(contracts);
+    const row = pickRow % contracts.length;
+    const word = titles[row][pickWord % titles[row].length];
+    // One substituted letter ('q' appears in none of the words)
+    const at = pickChar % word.length;
+    const typo = word.slice(0, at) + 'q' + word.slice(at + 1);
+    const exact = h.lookupSearchWord(index, word);
+    const fuzzy = h.lookupSearchWord(index, typo);
+    const prefix = h.lookupSearchWord(index, word.slice(0, 3));
+    if (!(exact.rows[row] > 0) || !(fuzzy.rows[row] > 0) || !(prefix.rows[row] > 0)) return false;
+    // Exact matches outrank near misses and prefixes
+    if (exact.rows[row] < fuzzy.rows[row] || exact.rows[row] < prefix.rows[row]) return false;
+    // The typo, as a search query, keeps the row and scores it
+    const query = h.parseSearchQuery(typo);
+    h.attachSearchIndexMatches(query, index);
+    return h.matchesSearchQuery(contracts[row], query, row) && h.searchQueryScore(contracts[row], query, row) > 0;
+  }
+]);
+
+// Feature: contract-management-dashboard, Property 18: Flag, program and role filters match their columns
+// **Validates: Requirements 17.1, 17.2, 17.3**
+const flagNames = ['NO_COR', 'Security Classification Level 1', 'OPTION_DUE'];
+const flagCellArb = fc.constantFrom('', 'Y', 'Yes', 'N', 'No', 'false', '0', 'X');
+const emails = ['pm@agency.gov', 'co@agency.gov', 'cs@agency.gov'];
+runProperty('Property 18: Flag, program and role filters match their columns', [
+  fc.array(fc.record({
+    FLAGS: fc.subarray(flagNames).map(list => list.join(', ')),
+    INTEL_FLAG: flagCellArb,
+    SBIR_FLAG: flagCellArb,
+    PM_EMAIL: fc.constantFrom('', ...emails),
+    CO_EMAIL: fc.constantFrom('', ...emails, 'CO@Agency.gov'),
+    CS_EMAIL: fc.constantFrom('', ...emails)
+  }), { maxLength: 30 }),
+  fc.constantFrom(...flagNames),
+  fc.constantFrom('Intel', 'SBIR'),
+  fc.constantFrom('any', 'PM', 'CO', 'CS'),
+  fc.constantFrom('', ...emails),
+  (contracts, flag, program, role, email) => {
+    const set = v => ['Y', 'Yes', 'X'].indexOf(v) >= 0;
+    const flagged = contracts.filter(c => h.matchesFacet(c, h.FACET_FILTERS.flags, [flag]));
+    if (flagged.length !== contracts.filter(c => c.FLAGS.split(', ').indexOf(flag) >= 0).length) return false;
+    const programKey = program === 'Intel' ? 'INTEL_FLAG' : 'SBIR_FLAG';
+    const inProgram = contracts.filter(c => h.matchesFacet(c, h.FACET_FILTERS.programs, [program]));
+    if (inProgram.length !== contracts.filter(c => set(c[programKey])).length) return false;
+    // Emails compare case-insensitively; with no known user nothing is "mine"
+    const keys = role === 'any' ? ['PM_EMAIL', 'CO_EMAIL', 'CS_EMAIL'] : [role + '_EMAIL'];
+    const mine = h.filterByMyRole(contracts, role, email);
+    return mine.length === contracts.filter(c => email !== '' && keys.some(k => c[k].toLowerCase() === email)).length;
+  }
+]);
+
+// Feature: contract-management-dashboard, Property 19: Fiscal and relative date presets
+// **Validates: Requirements 18.1, 18.2, 18.3**
+const isoDay = d => d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
+runProperty('Property 19: Fiscal and relative date presets', [
+  fc.date({ min: new Date('2016-01-01'), max: new Date('2030-12-31') }).map(d => new Date(d.getFullYear(), d.getMonth(), d.getDate())),
+  fc.integer({ min: 1, max: 400 }),
+  fc.constantFrom('awardDate', 'projectStart', 'projectEnd', 'completion'),
+  (today, days, dateField) => {
+    const day = isoDay(today);
+    const fy = today.getFullYear() + (today.getMonth() >= 9 ? 1 : 0);
+    const year = h.parseDateBounds('FY' + String(fy).slice(-2), today);
+    const current = h.parseDateBounds('thisfy', today);
+    if (!year || JSON.stringify(year) !== JSON.stringify(current)) return false;
+    if (!(year.from <= day && day <= year.to)) return false;
+    // The four quarters tile the fiscal year and exactly one holds today
+    const quarters = [1, 2, 3, 4].map(q => h.parseDateBounds('FY' + fy + ' Q' + q, today));
+    if (quarters[0].from !== year.from || quarters[3].to !== year.to) return false;
+    for (let q = 1; q < 4; q++) {
+      if (isoDay(new Date(new Date(quarters[q - 1].to + 'T00:00').getTime() + 36 * 3600000)) !== quarters[q].from) return false;
+    }
+    if (quarters.filter(b => b.from <= day && day <= b.to).length !== 1) return false;
+    // next120d runs from today to 120 days out
+    const ahead = h.parseDateBounds('next' + days + 'd', today);
+    const end = new Date(today.getFullYear(), today.getMonth(), today.getDate() + days);
+    if (ahead.from !== day || ahead.to !== isoDay(end)) return false;
+    // Each date field filters on its own column
+    const columns = { awardDate: 'AWARD_DATE', projectStart: 'PROJECT_START', projectEnd: 'PROJECT_END', completion: 'EST_ULTIMATE_COMPLETION' };
+    const inside = { [columns[dateField]]: (today.getMonth() + 1) + '/' + today.getDate() + '/' + today.getFullYear() };
+    const outside = { [columns[dateField]]: isoDay(new Date(today.getFullYear(), today.getMonth(), today.getDate() + days + 1)) };
+    const other = Object.keys(columns).filter(f => f !== dateField).map(f => ({ [columns[f]]: day }));
+    return h.filterByDateRange([inside, outside].concat(other), dateField, ahead.from, ahead.to).length === 1;
+  }
+]);
+
+// Feature: contract-management-dashboard, Property 20: Detail timeline layout
+// **Validates: Requirements 19.3**
+runProperty('Property 20: Detail timeline layout', [
+  fc.array(fc.record({
+    name: fc.constantFrom('Contract Award', 'Project Start', 'Project End', 'Estimated Completion'),
+    date: fc.option(fc.date({ min: new Date('2010-01-01'), max: new Date('2035-12-31') }).map(isoDay), { nil: null }),
+    status: fc.constantFrom('completed', 'today', 'this_week', 'this_month', 'future')
+  }), { maxLength: 6 }),
+  fc.date({ min: new Date('2005-01-01'), max: new Date('2040-12-31') }).map(d => new Date(d.getFullYear(), d.getMonth(), d.getDate())),
+  (milestones, today) => {
+    const layout = h.buildTimelineLayout(milestones, today);
+    const dated = milestones.filter(m => m.date).map(m => m.date).sort();
+    if (layout.points.length !== dated.length) return false;
+    if (dated.length === 0) return layout.today === null && layout.start === null;
+    if (layout.start !== dated[0] || layout.end !== dated[dated.length - 1]) return false;
+    // Points run in date order, inside 0-100, with the ends at the ends
+    for (let i = 0; i < layout.points.length; i++) {
+      const p = layout.points[i];
+      if (p.date !== dated[i] || p.position < 0 || p.position > 100) return false;
+      if (i > 0 && p.position < layout.points[i - 1].position) return false;
+    }
+    if (layout.start !== layout.end && (layout.points[0].position !== 0 || layout.points[layout.points.length - 1].position !== 100)) return false;
+    // Today is clamped to the track and flagged when it falls outside it
+    const day = isoDay(today);
+    const inRange = day >= layout.start && day <= layout.end;
+    if (layout.todayInRange !== inRange || layout.today < 0 || layout.today > 100) return false;
+    if (layout.start !== layout.end && day < layout.start && layout.today !== 0) return false;
+    if (layout.start !== layout.end && day > layout.end && layout.today !== 100) return false;
+    return true;
+  }
+]);
+
+// Feature: contract-management-dashboard, Property 21: IDV hierarchy rollups
+// **Validates: Requirements 20.1, 20.2**
+runProperty('Property 21: IDV hierarchy rollups', [
+  fc.array(fc.record({
+    AWARD: fc.constantFrom('IDV-1', 'IDV-2', 'IDV-3', 'ORD-1', 'ORD-2', 'ORD-3', 'ORD-4', 'ORD-5'),
+    REFERENCED_IDV_NUMBER: fc.constantFrom('', 'IDV-1', 'IDV-2', 'IDV-3', 'IDV-9'),
+    REFERENCED_IDV_FAMILY: fc.constantFrom('', 'OASIS', 'ASTRO'),
+    CEILING: fc.integer({ min: 0, max: 5000000 }),
+    IGE: fc.integer({ min: 0, max: 5000000 })
+  }), { maxLength: 25 }),
+  fc.func(fc.boolean()),
+  (all, keep) => {
+    const data = all.filter((c, i) => keep(i));
+    const tree = h.buildIdvHierarchy(data, all);
+    const vehicles = [].concat(...tree.families.map(f => f.vehicles));
+    const referenced = new Set(all.map(c => c.REFERENCED_IDV_NUMBER).filter(Boolean));
+    // Each filtered row is an order of its IDV, standalone, or (as an IDV) a vehicle
+    for (const c of data) {
+      const orderOf = vehicles.filter(v => v.orders.includes(c));
+      const isOrder = c.REFERENCED_IDV_NUMBER && c.REFERENCED_IDV_NUMBER !== c.AWARD;
+      if (orderOf.length !== (isOrder ? 1 : 0)) return false;
+      if (isOrder && orderOf[0].idv !== c.REFERENCED_IDV_NUMBER) return false;
+      if (referenced.has(c.AWARD) && !vehicles.some(v => v.idv === c.AWARD)) return false;
+      if (tree.standalone.orders.includes(c) !== (!isOrder && !referenced.has(c.AWARD))) return false;
+    }
+    // Vehicles and families roll up their orders; capacity is the IDV's own ceiling
+    const sum = (list, key) => list.reduce((s, x) => s + (typeof x[key] === 'number' ? x[key] : h.parseCurrency(x[key])), 0);
+    for (const v of vehicles) {
+      if (v.ceiling !== sum(v.orders, 'CEILING') || v.ige !== sum(v.orders, 'IGE')) return false;
+      const parent = all.find(c => c.AWARD === v.idv);
+      if ((parent ? parent.CEILING : null) !== v.capacity) return false;
+      const expected = v.capacity > 0 ? v.ceiling / v.capacity * 100 : null;
+      if (v.percentUsed !== expected) return false;
+    }
+    for (const f of tree.families) {
+      if (f.ceiling !== sum(f.vehicles, 'ceiling') || f.orderCount !== f.vehicles.reduce((s, v) => s + v.orders.length, 0)) return false;
+      if (f.vehicles.some(v => v.family !== f.name)) return false;
+    }
+    return tree.vehicleCount === vehicles.length && new Set(vehicles.map(v => v.idv)).size === vehicles.length;
+  }
+]);
+
+// Feature: contract-management-dashboard, Property 22: Financial risks group by severity
+// **Validates: Requirements 21.2**
+runProperty('Property 22: Financial risks group by severity', [
+  fc.array(fc.record({
+    contractId: fc.constantFrom('A-1', 'A-2', 'A-3', 'A-4'),
+    riskType: fc.constantFrom('CEILING_OVERRUN', 'CEILING_WARNING', 'BUDGET_DEPLETED', 'AWARD_EXCEEDS_CEILING'),
+    severity: fc.constantFrom('HIGH', 'MEDIUM', 'LOW', 'high', 'CRITICAL')
+  }), { maxLength: 30 }),
+  fc.constantFrom('', 'CEILING_OVERRUN', 'BUDGET_DEPLETED'),
+  (risks, riskType) => {
+    const groups = h.groupRisksBySeverity(risks, riskType);
+    const kept = risks.filter(r => !riskType || r.riskType === riskType);
+    // Known severities lead in order; each kept risk sits once in its own group
+    const order = groups.map(g => g.severity);
+    const known = order.filter(s => ['HIGH', 'MEDIUM', 'LOW'].includes(s));
+    if (known.join() !== ['HIGH', 'MEDIUM', 'LOW'].filter(s => known.includes(s)).join()) return false;
+    if (order.slice(0, known.length).join() !== known.join()) return false;
+    if (groups.some(g => g.risks.length === 0)) return false;
+    const listed = [].concat(...groups.map(g => g.risks));
+    if (listed.length !== kept.length || !kept.every(r => listed.includes(r))) return false;
+    return groups.every(g => g.risks.every(r => r.severity.toUpperCase() === g.severity));
+  }
+]);
+
+// Feature: contract-management-dashboard, Property 23: Spending pivot totals
+// **Validates: Requirements 23.2**
+runProperty('Property 23: Spending pivot totals', [
+  fc.array(fc.dictionary(
+    fc.constantFrom('2023', '2024', '2025', 'Undated'),
+    fc.record({ totalSpending: fc.integer({ min: 0, max: 1e6 }), contractCount: fc.integer({ min: 1, max: 5 }) })
+  ), { maxLength: 12 }),
+  fc.integer({ min: 1, max: 5 }),
+  (groupCells, maxSeries) => {
+    const periods = ['2023', '2024', '2025', 'Undated'].filter(p => groupCells.some(cells => cells[p]));
+    const groupedData = groupCells.map((cells, i) => ({
+      name: 'G' + i,
+      totalSpending: Object.values(cells).reduce((sum, c) => sum + c.totalSpending, 0),
+      contractCount: Object.values(cells).reduce((sum, c) => sum + c.contractCount, 0),
+      cells
+    }));
+    const pivot = h.buildSpendingPivot({ groupedData, periods }, maxSeries);
+    const sum = values => values.reduce((a, b) => a + b, 0);
+    if (pivot.periods.join() !== periods.join()) return false;
+    if (pivot.rows.map(r => r.name).join() !== groupedData.map(g => g.name).join()) return false;
+    if (pivot.rows.some((r, i) => r.value !== groupedData[i].totalSpending)) return false;
+    if (pivot.columnTotals.some((c, j) => c.value !== sum(groupedData.map(g => (g.cells[periods[j]] || {}).totalSpending || 0)))) return false;
+    if (pivot.total.value !== sum(pivot.rows.map(r => r.value))) return false;
+    if (pivot.total.value !== sum(pivot.columnTotals.map(c => c.value))) return false;
+    // Chart: dated periods only, at most maxSeries groups plus Other, stacking to the column totals
+    const dated = periods.filter(p => p !== 'Undated');
+    if (pivot.chart.labels.join() !== dated.join()) return false;
+    if (pivot.chart.series.length > maxSeries + 1) return false;
+    if (pivot.chart.series.length !== Math.min(groupedData.length, maxSeries) + (groupedData.length > maxSeries ? 1 : 0)) return false;
+    return dated.every((p, k) => sum(pivot.chart.series.map(s => s.values[k])) === pivot.columnTotals[periods.indexOf(p)].value);
+  }
+]);
+
+// Feature: contract-management-dashboard, Property 24: Pivot cells and totals match the records
+// **Validates: Requirements 24.2, 24.4**
+runProperty('Property 24: Pivot cells and totals match the records', [
+  fc.array(fc.record({
+    Client_Bureau: fc.constantFrom('FAS', 'PBS', '', null),
+    FY_AWARD: fc.constantFrom('2023', '2024', '2025'),
+    CONTRACT_TYPE: fc.constantFrom('FFP', 'T&M'),
+    CEILING: fc.integer({ min: 0, max: 1e6 }).map(n => '$' + n.toLocaleString())
+  }), { maxLength: 40 }),
+  fc.subarray(['Client_Bureau', 'CONTRACT_TYPE']),
+  fc.subarray(['FY_AWARD']),
+  fc.constantFrom('count', 'sum', 'avg', 'min', 'max'),
+  (records, rowFields, columnFields, aggregate) => {
+    const pivot = h.buildPivot(records, rowFields, columnFields, aggregate, 'CEILING');
+    const value = r => (aggregate === 'count' ? 0 : h.parseCurrency(r.CEILING));
+    const keyOf = (r, fields) => fields.map(f => String(r[f] === null || r[f] === undefined ? '' : r[f]).trim() || '(blank)').join('|');
+    const agg = list => {
+      if (list.length === 0) return null;
+      const vals = list.map(value);
+      return { count: list.length, sum: vals.reduce((a, b) => a + b, 0), avg: vals.reduce((a, b) => a + b, 0) / list.length,
+        min: Math.min(...vals), max: Math.max(...vals) }[aggregate];
+    };
+    const close = (a, b) => (a === null || b === null ? a === b : Math.abs(a - b) < 1e-6);
+    const rowKeys = pivot.rowHeaders.map(k => k.join('|'));
+    const colKeys = pivot.columnHeaders.map(k => k.join('|'));
+    // Every record combination appears once; headers are unique
+    if (new Set(rowKeys).size !== rowKeys.length || new Set(colKeys).size !== colKeys.length) return false;
+    if (rowKeys.length !== new Set(records.map(r => keyOf(r, rowFields))).size) return false;
+    if (pivot.recordCount !== records.length || !close(pivot.total, agg(records))) return false;
+    for (let i = 0; i < rowKeys.length; i++) {
+      const inRow = records.filter(r => keyOf(r, rowFields) === rowKeys[i]);
+      if (!close(pivot.rowTotals[i], agg(inRow))) return false;
+      for (let j = 0; j < colKeys.length; j++) {
+        if (!close(pivot.values[i][j], agg(inRow.filter(r => keyOf(r, columnFields) === colKeys[j])))) return false;
+      }
+    }
+    if (!colKeys.every((k, j) => close(pivot.columnTotals[j], agg(records.filter(r => keyOf(r, columnFields) === k))))) return false;
+    // Export table: one row per pivot row plus a total row, each as wide as the header
+    const table = h.pivotToExportTable(pivot, rowFields, 'Count', 'number', 'Pivot');
+    if (table.rows.length !== rowKeys.length + 1 || table.rowKinds[table.rowKinds.length - 1] !== 'total') return false;
+    return table.rows.every(row => row.length === table.columns.length);
+  }
+]);
+
+// Feature: contract-management-dashboard, Property 25: Runway sort
+// **Validates: Requirements 25.3**
+runProperty('Property 25: Runway sort', [
+  fc.array(fc.record({
+    contractId: fc.constantFrom('A-1', 'A-2', 'B-10', 'B-9'),
+    monthsRemaining: fc.option(fc.constantFrom(0, 1.5, 3, 12), { nil: null }),
+    runOutDate: fc.constantFrom('2026-01-31', '2026-11-02', '2027-05-01', '')
+  }), { maxLength: 25 }),
+  fc.constantFrom('monthsRemaining', 'runOutDate', 'contractId'),
+  fc.constantFrom('asc', 'desc'),
+  (forecasts, key, direction) => {
+    const sorted = h.sortRunway(forecasts, key, direction);
+    if (sorted.length !== forecasts.length || !forecasts.every(f => sorted.includes(f))) return false;
+    const blank = f => f[key] === null || f[key] === undefined || f[key] === '';
+    const firstBlank = sorted.findIndex(blank);
+    if (firstBlank >= 0 && !sorted.slice(firstBlank).every(blank)) return false;
+    const cmp = (a, b) => (typeof a[key] === 'number'
+      ? a[key] - b[key]
+      : String(a[key]).localeCompare(String(b[key]), undefined, { numeric: true }));
+    // Ordered by the key; equal keys keep their original order
+    return sorted.every((f, i) => {
+      if (i === 0 || blank(f) || blank(sorted[i - 1])) return true;
+      const c = cmp(sorted[i - 1], f) * (direction === 'desc' ? -1 : 1);
+      return c < 0 || (c === 0 && forecasts.indexOf(sorted[i - 1]) < forecasts.indexOf(f));
+    });
+  }
+]);
+
+// Feature: contract-management-dashboard, Property 26: Runway dates stay valid
+// **Validates: Requirements 25.5**
+runProperty('Property 26: Runway dates stay valid', [
+  fc.date({ min: new Date('2000-01-01'), max: new Date('2030-12-31') }),
+  fc.integer({ min: 1, max: 3650 }),
+  fc.option(fc.integer({ min: 0, max: 3650 }), { nil: null }),
+  fc.oneof(fc.double({ min: 1, max: 1e12, noNaN: true }), fc.constant(5e8)),
+  fc.oneof(fc.constant(0), fc.double({ min: 1e-6, max: 1e9, noNaN: true }), fc.constant(1000)),
+  fc.date({ min: new Date('2000-01-01'), max: new Date('2040-12-31') }),
+  (start, popDays, extraDays, ceiling, ige, asOf) => {
+    const iso = d => d.toISOString().slice(0, 10);
+    const end = new Date(start.getTime() + popDays * 86400000);
+    const contract = {
+      award: 'A-1', ceiling: ceiling, awardValue: ige, projectStart: iso(start), projectEnd: iso(end),
+      completionDate: extraDays === null ? null : iso(new Date(end.getTime() + extraDays * 86400000))
+    };
+    const forecaster = new h.BurnRateForecaster();
+    const forecast = forecaster.forecastContract(contract, asOf);
+    const valid = d => d === null || (/^\d{4}-\d{2}-\d{2}$/.test(d) && !isNaN(new Date(d).getTime()));
+    const dates = forecast.thresholds.map(t => t.date).concat([forecast.runOutDate, forecast.projectStart, forecast.projectEnd]);
+    if (!dates.every(valid)) return false;
+    // Past the limit the run-out date is blank, flagged, and never counted as early
+    const horizon = forecast.completionDate > forecast.projectEnd ? forecast.completionDate : forecast.projectEnd;
+    if (forecast.beyondHorizon !== (forecast.runOutDate === null)) return false;
+    if (forecast.runOutDate !== null && +forecast.runOutDate.slice(0, 4) > +horizon.slice(0, 4) + forecaster.maxHorizonYears) return false;
+    return !forecast.beyondHorizon || (!forecast.exhaustsBeforeEnd && !forecast.exhaustsBeforeCompletion &&
+      forecast.runwayStatus !== 'EXHAUSTS_BEFORE_END' && forecast.runwayStatus !== 'EXHAUSTS_BEFORE_COMPLETION');
+  }
+]);
+
+// Feature: contract-management-dashboard, Property 27: Saved view limits
+// **Validates: Requirements 26.1, 26.2, 26.3**
+runProperty('Property 27: Saved view limits', [
+  fc.array(fc.record({
+    op: fc.constantFrom('save', 'save', 'save', 'rename', 'delete', 'default'),
+    name: fc.oneof(fc.constantFrom('Mine', 'mine ', 'DHS active', '   '), fc.string({ maxLength: 70 })),
+    searchText: fc.oneof(fc.constant(''), fc.string({ maxLength: 20 }), fc.constant('x'.repeat(600))),
+    pick: fc.nat()
+  }), { maxLength: 40 }),
+  fc.constantFrom(0, 1000, 470000),
+  (ops, othersSize) => {
+    const env = h.fakeAppsScript({ userProperties: othersSize ? { SAVED_VIEWS_other: 'v'.repeat(othersSize) } : {} });
+    const SavedViewService = h.loadServerClass('services/SavedViewService.js', 'SavedViewService', env);
+    const service = new SavedViewService();
+    const key = 'SAVED_VIEWS_analyst@example.gov';
+    for (const step of ops) {
+      const before = env.userProperties[key];
+      const views = service.getViews().views;
+      const target = views.length ? views[step.pick % views.length].id : 'missing';
+      try {
+        if (step.op === 'save') service.saveView(step.name, { searchText: step.searchText });
+        else if (step.op === 'rename') service.renameView(target, step.name);
+        else if (step.op === 'delete') service.deleteView(target);
+        else service.setDefaultView(target);
+      } catch (e) {
+        // A refused change leaves the stored views untouched
+        if (env.userProperties[key] !== before) return false;
+      }
+      if (env.locks.held !== 0) return false;
+      const stored = env.userProperties[key] || '';
+      const total = Object.keys(env.userProperties).reduce((n, k) => n + k.length + env.userProperties[k].length, 0);
+      if (stored.length > service.maxStoredSize || total > service.maxTotalSize) return false;
+      const names = service.getViews().views.map(v => v.name);
+      if (names.length > service.maxViews) return false;
+      if (!names.every(n => n && n === n.trim() && n.length <= service.maxNameLength)) return false;
+      if (new Set(names.map(n => n.toLowerCase())).size !== names.length) return false;
+    }
+    return true;
+  }
+]);
+
+// Feature: contract-management-dashboard, Property 28: Cache round-trip and stats
+// **Validates: Requirements 27.1, 27.2, 27.3**
+runProperty('Property 28: Cache round-trip and stats', [
+  fc.array(fc.record({
+    name: fc.constantFrom('a', 'b', 'c'),
+    value: fc.oneof(
+      fc.jsonValue({ maxDepth: 2 }).filter(v => v !== null),
+      fc.array(fc.record({ AWARD: fc.string({ maxLength: 12 }), CEILING: fc.integer() }), { maxLength: 30 })
+    ),
+    dropChunk: fc.boolean()
+  }), { minLength: 1, maxLength: 12 }),
+  fc.integer({ min: 16, max: 400 }),
+  (writes, chunkSize) => {
+    const env = h.fakeAppsScript();
+    const CachingService = h.loadServerClass('services/CachingService.js', 'CachingService', env);
+    const cache = new CachingService();
+    // Small limits so ordinary values take the compressed and chunked paths
+    cache.compressThreshold = 40;
+    cache.maxEntrySize = chunkSize;
+    let hits = 0;
+    let evictions = 0;
+    for (const write of writes) {
+      if (!cache.set('bulk', write.name, write.value, { version: 'v1' })) return false;
+      const key = cache.buildKey('bulk', write.name, 'v1');
+      const chunked = JSON.parse(env.cacheEntries[key]).n;
+      if (chunked && write.dropChunk) {
+        delete env.cacheEntries[key + ':' + (chunked - 1)];
+        // A lost chunk is a miss and an eviction, never a partial value
+        if (cache.get('bulk', write.name, { version: 'v1' }) !== null) return false;
+        evictions++;
+      } else {
+        const expected = JSON.parse(JSON.stringify(write.value));
+        if (JSON.stringify(cache.get('bulk', write.name, { version: 'v1' })) !== JSON.stringify(expected)) return false;
+        hits++;
+      }
+    }
+    // Counting stays in memory until the flush, which writes once
+    if (cache.statsKey in env.cacheEntries) return false;
+    const writesBefore = env.cacheCalls.writes;
+    cache.flushStats();
+    cache.flushStats();
+    if (env.cacheCalls.writes !== writesBefore + 1) return false;
+    const stats = new CachingService().getStats();
+    return stats.sets === writes.length && stats.hits === hits && stats.misses === evictions &&
+      stats.evictions === evictions && stats.namespaces.bulk.sets === writes.length;
+  }
+]);
+
+// Feature: contract-management-dashboard, Property 29: Digest finds changed chunks
+// **Validates: Requirements 28.2**
+runProperty('Property 29: Digest finds changed chunks', [
+  fc.array(fc.array(fc.oneof(fc.string({ maxLength: 6 }), fc.integer()), { minLength: 1, maxLength: 4 }), { maxLength: 40 }),
+  fc.integer({ min: 1, max: 8 }),
+  fc.array(fc.record({ row: fc.nat(), value: fc.string({ maxLength: 6 }) }), { maxLength: 5 }),
+  fc.integer({ min: -5, max: 5 }),
+  (rows, chunkRows, edits, resize) => {
+    const next = rows.map(row => row.slice());
+    edits.forEach(edit => { if (next.length) next[edit.row % next.length][0] = edit.value; });
+    if (resize > 0) for (let i = 0; i < resize; i++) next.push(['added ' + i]);
+    else next.splice(next.length + resize, -resize);
+    // Same per-chunk digest as refreshDatasetDigest
+    const digest = values => {
+      const chunks = [];
+      for (let start = 0; start < values.length; start += chunkRows) {
+        chunks.push(crypto.createHash('md5').update(JSON.stringify(values.slice(start, start + chunkRows))).digest('base64'));
+      }
+      return chunks;
+    };
+    const changed = h.findChangedChunks(digest(rows), digest(next));
+    const chunkCount = Math.ceil(Math.max(rows.length, next.length) / chunkRows);
+    for (let i = 0; i < chunkCount; i++) {
+      const before = JSON.stringify(rows.slice(i * chunkRows, (i + 1) * chunkRows));
+      const after = JSON.stringify(next.slice(i * chunkRows, (i + 1) * chunkRows));
+      if ((before !== after) !== changed.includes(i)) return false;
+    }
+    return changed.every((i, n) => i < chunkCount && (n === 0 || changed[n - 1] < i));
+  }
+]);
+
+// Feature: contract-management-dashboard, Property 30: Column mapping validation and matching
+// **Validates: Requirements 29.2, 29.3**
+runProperty('Property 30: Column mapping validation and matching', [
+  fc.array(fc.record({
+    key: fc.constantFrom('AWARD', 'CEILING', 'PM', 'SECTOR', ''),
+    headers: fc.subarray(['AWARD', 'Award #', 'CEILING', 'PM1 Name', 'PM', 'Sector']),
+    type: fc.constantFrom(undefined, 'string', 'currency', 'date', 'flags', 'text'),
+    load: fc.boolean()
+  }), { maxLength: 6 }),
+  fc.integer({ min: 0, max: 3 }),
+  fc.integer({ min: 0, max: 4 }),
+  fc.subarray(['Award #', 'AWARD', 'CEILING', 'PM', 'PM1 Name', 'Sector', 'Notes', 'AWARD']),
+  (columns, headerRow, dataStartRow, sheetHeaders) => {
+    const service = new h.ColumnMappingService();
+    if (!service.validateMapping(h.DEFAULT_COLUMN_MAPPING).isValid) return false;
+
+    const mapping = { sheetName: 'AL_Extract', headerRow: headerRow, dataStartRow: dataStartRow, columns: columns };
+    const result = service.validateMapping(mapping);
+    const keys = columns.map(c => c.key);
+    const expectValid = headerRow >= 1 && dataStartRow > headerRow && columns.length > 0 &&
+      keys.every(k => k) && new Set(keys).size === keys.length &&
+      columns.every(c => c.headers.length > 0 && c.type !== 'text');
+    if (result.isValid !== expectValid || result.isValid !== (result.errors.length === 0)) return false;
+    if (!result.isValid) return true;
+
+    // Each column takes the first of its headers the sheet has; the rest are missing
+    const resolved = service.resolveColumns(sheetHeaders, mapping);
+    const used = new Set();
+    for (const column of columns) {
+      const match = column.headers.find(header => sheetHeaders.includes(header));
+      if (match === undefined) {
+        if (!resolved.missing.includes(column.key) || column.key in resolved.columnIndex) return false;
+      } else {
+        if (resolved.columnIndex[column.key] !== sheetHeaders.indexOf(match)) return false;
+        used.add(match);
+      }
+    }
+    const unmapped = [...new Set(sheetHeaders)].filter(header => !used.has(header));
+    return JSON.stringify(resolved.unmappedHeaders) === JSON.stringify(unmapped);
+  }
+]);
+
+// Feature: contract-management-dashboard, Property 31: Saved column mapping follows new defaults
+// **Validates: Requirements 29.4**
+runProperty('Property 31: Saved column mapping follows new defaults', [
+  fc.dictionary(fc.constantFrom(...h.DEFAULT_COLUMN_MAPPING.columns.map(c => c.key)),
+    fc.record({ load: fc.boolean(), headers: fc.constantFrom(null, ['Renamed header']) }), { maxKeys: 6 }),
+  fc.option(fc.integer({ min: 1, max: 4 }), { nil: null }),
+  fc.nat(),
+  (edits, headerRow, pick) => {
+    const env = h.fakeAppsScript();
+    const { ColumnMappingService, DEFAULT_COLUMN_MAPPING } =
+      h.loadServerClass('services/ColumnMappingService.js', '({ ColumnMappingService, DEFAULT_COLUMN_MAPPING })', env);
+
+    // The client sends back the whole mapping with its edits
+    const sent = JSON.parse(JSON.stringify(DEFAULT_COLUMN_MAPPING));
+    if (headerRow !== null) Object.assign(sent, { headerRow: headerRow, dataStartRow: headerRow + 1 });
+    sent.columns.forEach(column => {
+      const edit = edits[column.key];
+      if (!edit) return;
+      column.load = edit.load;
+      if (edit.headers) column.headers = edit.headers;
+    });
+    if (!new ColumnMappingService().saveMapping(sent).isValid) return false;
+
+    // A later release adds a column and changes a default the admin never touched
+    const untouched = DEFAULT_COLUMN_MAPPING.columns.filter(c => !edits[c.key]);
+    const changedDefault = untouched.length ? untouched[pick % untouched.length] : null;
+    if (changedDefault) changedDefault.load = !changedDefault.load;
+    DEFAULT_COLUMN_MAPPING.columns.push({ key: 'NEW_COLUMN', field: 'newColumn', type: 'string', headers: ['NEW_COLUMN'], load: true });
+
+    const loaded = new ColumnMappingService().getMapping();
+    const byKey = key => loaded.columns.find(c => c.key === key);
+    if (!byKey('NEW_COLUMN') || loaded.columns.length !== DEFAULT_COLUMN_MAPPING.columns.length) return false;
+    if (changedDefault && byKey(changedDefault.key).load !== changedDefault.load) return false;
+    if (loaded.headerRow !== (headerRow === null ? DEFAULT_COLUMN_MAPPING.headerRow : headerRow)) return false;
+    return Object.keys(edits).every(key => byKey(key).load === edits[key].load &&
+      (!edits[key].headers || byKey(key).headers[0] === 'Renamed header'));
+  }
+]);
+
+// Feature: contract-management-dashboard, Property 32: Contract type search matches extract values
+// **Validates: Requirements 15.6**
+const extractContractTypes = [
+  ['J - Firm Fixed Price', ['FFP', 'J', '"firm fixed"']],
+  ['Y - Time and Materials', ['T&M', 'TM', 'Y', '"time and"']],
+  ['Z - Labor Hours', ['LH', 'Z', 'labor']],
+  ['U - Cost Plus Fixed Fee', ['CPFF', 'U']],
+  ['R - Cost Plus Award Fee', ['CPAF', 'R']],
+  ['K - Fixed Price with Economic Price Adjustment', ['FPEPA', 'K', 'economic']],
+  ['L - Fixed Price Incentive', ['FPI', 'L']]
+];
+runProperty('Property 32: Contract type search matches extract values', [
+  fc.array(fc.constantFrom(...extractContractTypes.map(t => t[0])), { minLength: 1, maxLength: 20 }),
+  fc.constantFrom(...extractContractTypes),
+  fc.nat(),
+  fc.boolean(),
+  (types, target, pick, lower) => {
+    const alias = target[1][pick % target[1].length];
+    const query = h.parseSearchQuery('type:' + (lower ? alias.toLowerCase() : alias));
+    if (query.errors.length > 0) return false;
+    // Each abbreviation, code and name fragment picks out its own type and no other
+    return types.every((type, i) => h.matchesSearchQuery({ AWARD: 'A' + i, CONTRACT_TYPE: type }, query) === (type === target[0]));
+  }
+]);
+
+// Feature: contract-management-dashboard, Property 33: Fiscal year allocation totals
+// **Validates: Requirements 22.1, 22.2, 22.3**
+runProperty('Property 33: Fiscal year allocation totals', [
+  fc.array(fc.record({
+    clientBureau: fc.constantFrom('DOD', 'DHS', 'NASA', undefined),
+    apexName: fc.constantFrom('Cloud', 'Cyber', undefined),
+    awardValue: fc.integer({ min: 0, max: 1e7 }),
+    ceiling: fc.integer({ min: 0, max: 1e7 }),
+    start: fc.option(fc.integer({ min: 0, max: 4000 }), { nil: null }),
+    days: fc.option(fc.integer({ min: 0, max: 3000 }), { nil: null })
+  }), { maxLength: 15 }),
+  fc.integer({ min: 2018, max: 2030 }),
+  fc.integer({ min: 1, max: 5 }),
+  fc.constantFrom('awardValue', 'ceiling'),
+  fc.integer({ min: 1, max: 4 }),
+  (specs, fiscalYear, outYears, basis, maxSeries) => {
+    const contracts = specs.map((s, i) => ({
+      award: 'A-' + i,
+      clientBureau: s.clientBureau,
+      apexName: s.apexName,
+      awardValue: s.awardValue,
+      ceiling: s.ceiling,
+      projectStart: s.start === null ? null : new Date(2018, 0, 1 + s.start),
+      projectEnd: s.start === null || s.days === null ? null : new Date(2018, 0, 1 + s.start + s.days)
+    }));
+    const analyzer = new h.FinancialAnalyzer();
+    const report = analyzer.buildFiscalAllocationReport(contracts, fiscalYear, { basis, outYears, maxSeries });
+    const close = (a, b) => Math.abs(a - b) < 1e-6 * Math.max(1, Math.abs(b));
+    const sum = values => values.reduce((a, b) => a + b, 0);
+    const dated = contracts.filter(c => c.projectEnd);
+    const undated = contracts.filter(c => !c.projectEnd);
+    if (report.undated.count !== undated.length || report.undated.value !== sum(undated.map(c => c[basis]))) return false;
+
+    // Each dated contract's fiscal years add up to its whole value
+    const allocations = dated.map(c => analyzer._getAllYearlyAllocations(c, basis));
+    if (!dated.every((c, i) => close(sum(allocations[i].map(a => a.allocation)), c[basis]))) return false;
+    const inYear = (i, year) => sum(allocations[i].filter(a => a.fiscalYear === year).map(a => a.allocation));
+
+    // One row per contract with value in the year; bureaus and portfolios total their rows
+    const expectedRows = dated.map((c, i) => [c.award, inYear(i, fiscalYear)]).filter(r => r[1] > 0);
+    if (report.contracts.length !== expectedRows.length) return false;
+    const rowFor = new Map(report.contracts.map(r => [r.contractId, r]));
+    if (!expectedRows.every(([award, allocation]) => rowFor.has(award) && close(rowFor.get(award).allocation, allocation))) return false;
+    if (!close(report.totalAllocation, sum(report.contracts.map(r => r.allocation)))) return false;
+    const rollupMatches = (entries, field) => entries.every(entry => {
+      const rows = report.contracts.filter(r => r[field] === entry.name);
+      return entry.contractCount === rows.length && close(entry.allocation, sum(rows.map(r => r.allocation)));
+    }) && sum(entries.map(e => e.contractCount)) === report.contracts.length;
+    if (!rollupMatches(report.byBureau, 'clientBureau') || !rollupMatches(report.byApex, 'apexName')) return false;
+
+    // Out-years: the last label (FYnn+) collects every later year; series stack to each year's total
+    const lastYear = fiscalYear + outYears;
+    const { labels, series } = report.outYears;
+    if (labels.length !== outYears + 1 || labels[outYears] !== 'FY' + String(lastYear).slice(-2) + '+') return false;
+    if (series.length > maxSeries + 1) return false;
+    const laterYears = dated.map((c, i) => sum(allocations[i].filter(a => a.fiscalYear > fiscalYear).map(a => a.allocation)));
+    if (!close(report.outYearTotal, sum(laterYears))) return false;
+    return labels.every((label, k) => {
+      const expected = sum(dated.map((c, i) => sum(allocations[i]
+        .filter(a => (k === outYears ? a.fiscalYear >= lastYear : a.fiscalYear === fiscalYear + k))
+        .map(a => a.allocation))));
+      return close(sum(series.map(s => s.values[k])), expected);
+    });
+  }
+]);
+
 // --- Summary ---
 console.log('\n' + (passed + failed) + ' properties tested: ' + passed + ' passed, ' + failed + ' failed\n');
 if (failures.length > 0) {